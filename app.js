@@ -1,10 +1,13 @@
 // Import all modules
 import { initializeAuth, signInWithGoogle, signOutUser, getCurrentUserId } from './auth.js';
+import { initializeEncryptionKeys } from './encryption.js';
 import { 
     setUsername, 
     getCurrentUsername, 
     checkUsernameAvailability,
-    listenToUsersPresence 
+    listenToUsersPresence,
+    getUserProfile,
+    setMessageRequestsAllowed
 } from './database.js';
 import { 
     sendFriendRequest, 
@@ -12,22 +15,87 @@ import {
     rejectFriendRequest,
     listenToFriendRequests,
     listenToFriendsList,
-    getFriendsList
+    getFriendsList,
+    areFriends,
+    getBlockedUsers,
+    unblockUser,
+    getFriendLists,
+    saveFriendList,
+    deleteFriendList,
+    CLOSE_FRIENDS_LIST_ID
 } from './friends.js';
 import { 
-    sendMessage, 
+    getMessagesPage,
     listenToChatMessages, 
     markMessagesAsRead,
     listenToUserChats,
-    startChatWithFriend
+    listenToTotalUnreadCount,
+    setChatPinned,
+    setChatArchived,
+    setChatMuted,
+    isChatMuted,
+    MUTE_DURATIONS,
+    sendMessageRequest,
+    acceptMessageRequest,
+    ignoreMessageRequest,
+    blockMessageRequest,
+    listenToMessageRequest,
+    MESSAGE_REQUEST_STATUS,
+    startChatWithFriend,
+    createGroupChat,
+    addGroupMembers,
+    removeGroupMember,
+    leaveGroup,
+    setGroupAdmin,
+    getChatMembers,
+    setTypingStatus,
+    listenToTypingStatus,
+    listenToIncomingMessageDelivery,
+    listenToChatReceipts,
+    getMessageReceipts,
+    editMessage,
+    unsendMessage,
+    sendAttachmentMessage,
+    sendVoiceMessage,
+    formatDuration,
+    getChatStatistics,
+    setChatEncryption,
+    listenToChatEncryption,
+    setDisappearingMessages,
+    listenToDisappearingMessages,
+    purgeExpiredMessages,
+    purgeExpiredMessagesInAllChats,
+    DISAPPEARING_MESSAGE_OPTIONS,
+    getChatSafetyInfo,
+    setChatContactVerified,
+    formatCallSummary,
+    toggleMessageReaction,
+    getReactionSummary,
+    REACTION_EMOJIS,
+    CHAT_TYPES,
+    MESSAGE_TYPES,
+    MESSAGE_STATUS
 } from './chat.js';
 import { 
     createPost, 
-    listenToFeedPosts, 
+    getFeedPage,
+    listenToNewFeedPosts,
+    listenToPost,
     togglePostLike, 
+    togglePostReaction,
+    getPostReactions,
+    getPostLikes,
+    POST_REACTIONS,
     addComment,
     listenToPostComments,
-    hasUserLikedPost
+    hasUserLikedPost,
+    getPostAudience,
+    POST_AUDIENCES,
+    editPost,
+    getPostVersions,
+    getPostById,
+    getPostImages,
+    MAX_POST_IMAGES
 } from './posts.js';
 import { 
     listenToUserNotifications, 
@@ -36,14 +104,172 @@ import {
     formatNotificationMessage,
     getNotificationIcon,
     formatTimeAgo,
-    requestNotificationPermission
+    requestNotificationPermission,
+    showBrowserNotification
 } from './notifications.js';
+import {
+    formatFileSize,
+    validateVideoFile,
+    getVideoDetails,
+    MAX_POST_VIDEO_DURATION
+} from './storage.js';
+import { 
+    startCall, 
+    answerCall, 
+    declineCall,
+    endCall,
+    toggleMicrophone,
+    toggleCamera,
+    isInCall,
+    listenToIncomingCalls,
+    CALL_TYPES,
+    CALL_STATUS
+} from './calls.js';
+import { 
+    startVoiceRecording,
+    isVoiceRecordingSupported,
+    MIN_VOICE_DURATION,
+    MAX_VOICE_DURATION,
+    WAVEFORM_PEAK_COUNT
+} from './voice.js';
+import { exportChat, EXPORT_FORMATS } from './export.js';
+import { 
+    initializeOutbox,
+    queueMessage,
+    retryMessage,
+    discardMessage,
+    getOutboxMessages,
+    OUTBOX_STATUS
+} from './outbox.js';
+import { 
+    startSearchIndexing,
+    searchAllChats,
+    updateSearchIndex,
+    removeFromSearchIndex,
+    getSearchSnippet
+} from './search.js';
 
 // Global state
 let currentUser = null;
-let currentChatUser = null;
+let currentChat = null;
+
+// Latest chat list, and whether its Message requests and Archived sections are expanded
+let chatList = [];
+let showMessageRequests = false;
+let showArchivedChats = false;
+
+// Message request state of the open direct chat
+let unsubscribeMessageRequest = null;
+
+// Typing indicator state
+const TYPING_IDLE_TIMEOUT = 3000;
+let isTyping = false;
+let typingTimeout = null;
+let unsubscribeTyping = null;
+
+// Messages and receipts of the open chat
+let currentMessages = [];
+let currentReceipts = {};
+let unsubscribeReceipts = null;
+
+// Message pagination of the open chat
+const CHAT_PAGE_SIZE = 30;
+
+// Pause in typing before the chat search runs
+const CHAT_SEARCH_DELAY = 250;
+
+// Most recent days drawn in the insights chart (everything else covers the whole history)
+const INSIGHTS_CHART_DAYS = 60;
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Posts show one image full width, or a grid of up to four with the rest counted on the last
+const GALLERY_PREVIEW_COUNT = 4;
+
+// How long the like button is held to open the reaction picker
+const REACTION_LONG_PRESS_DELAY = 500;
+
+// Display names of people in reaction summaries, by uid
+const reactorNames = new Map();
+
+// Pending chat search and the text of the latest one, so slower earlier searches are dropped
+let chatSearchTimer = null;
+let chatSearchText = '';
+const CHAT_SCROLL_THRESHOLD = 80;
+let oldestMessageKey = null;
+let chatHasMore = false;
+let olderMessagesRequest = null;
+let chatPinnedToBottom = true;
+let chatMessageUnsubscribes = [];
+
+// Message being edited in the chat input
+let editingMessageId = null;
+
+// Message quoted by the next message sent
+let replyingToMessage = null;
+
+// Progress bubbles of attachments still uploading, kept across message re-renders
+let pendingUploads = [];
+
+// Voice message being recorded: { chatId, recorder, timer, cancelled }
+let voiceRecording = null;
+
+// One shared player for voice messages, so re-rendering a bubble doesn't interrupt playback
+const voicePlayer = new Audio();
+let voicePlayerMessage = null;
+
+// End-to-end encryption state of the open direct chat
+let currentChatEncrypted = false;
+let unsubscribeEncryption = null;
+
+// Disappearing message timer of the open chat, and how often expired messages are purged
+const EXPIRED_MESSAGE_CLEANUP_INTERVAL = 10 * 60 * 1000;
+let currentChatDisappearing = 0;
+let unsubscribeDisappearing = null;
+
+// Calls
+let incomingCall = null;
+let ringtone = null;
+let callTimerInterval = null;
 let unsubscribeFunctions = [];
 
+// Feed pagination state
+const FEED_PAGE_SIZE = 10;
+let feedCursor = null;
+let feedHasMore = true;
+let feedLoading = false;
+// Set while the feed is loaded or loading; it stays live afterwards, so switching tabs doesn't reload it
+let feedStarted = false;
+let feedPostUnsubscribes = {};
+let unsubscribeNewFeedPosts = null;
+
+// Audience of the next post, and the current user's friend lists (for audience names)
+let postAudience = { type: POST_AUDIENCES.FRIENDS };
+let friendLists = [];
+
+// Friend list open in the friend list editor (null while creating one)
+let editingFriendListId = null;
+
+// Images picked in the composer and in the edit post modal, in order: { src, image } where image is
+// a File to upload or one of the post's stored images
+let postImageItems = [];
+let editPostImageItems = [];
+
+// Video picked in the composer, and its preview URL
+let postVideoFile = null;
+let postVideoPreviewURL = null;
+
+// Plays feed videos (muted) while they are on screen and pauses them once scrolled away
+let postVideoObserver = null;
+
+// Post open in the edit post modal
+let editingPost = null;
+
+// Images shown in the lightbox and the one on screen
+let lightboxImages = [];
+let lightboxIndex = 0;
+let lightboxPointerX = null;
+
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('WeFriend app initializing...');
@@ -54,6 +280,36 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Set up event listeners
     setupEventListeners();
     
+    // Load the default tab
+    if (currentUser) {
+        getFriendLists().then(lists => {
+            friendLists = lists;
+        });
+        loadFeedPosts();
+        initializeEncryptionKeys(currentUser.uid);
+        
+        // Acknowledge incoming messages as delivered while the app is open, notifying about unmuted chats
+        unsubscribeFunctions.push(listenToIncomingMessageDelivery(handleNewMessageNotification));
+        unsubscribeFunctions.push(listenToTotalUnreadCount(updateChatUnreadCount));
+        
+        // Send messages queued while offline (or before a reload) once connected
+        unsubscribeFunctions.push(initializeOutbox(renderOutboxMessages));
+        
+        // Index messages of all chats in this browser for search
+        unsubscribeFunctions.push(startSearchIndexing());
+        
+        // Ring for incoming calls
+        unsubscribeFunctions.push(listenToIncomingCalls({
+            onIncoming: showIncomingCall,
+            onCancelled: handleIncomingCallCancelled
+        }));
+        
+        // Clean up expired disappearing messages now and every few minutes
+        purgeExpiredMessagesInAllChats();
+        const cleanupInterval = setInterval(purgeExpiredMessagesInAllChats, EXPIRED_MESSAGE_CLEANUP_INTERVAL);
+        unsubscribeFunctions.push(() => clearInterval(cleanupInterval));
+    }
+    
     // Request notification permission
     await requestNotificationPermission();
     
@@ -86,6 +342,7 @@ function setupEventListeners() {
     
     // Username
     document.getElementById('save-username-btn')?.addEventListener('click', handleSaveUsername);
+    document.getElementById('allow-message-requests-toggle')?.addEventListener('change', handleToggleMessageRequests);
     
     // Friends
     document.getElementById('add-friend-btn')?.addEventListener('click', showAddFriendModal);
@@ -93,19 +350,107 @@ function setupEventListeners() {
     
     // Posts
     document.getElementById('create-post-btn')?.addEventListener('click', handleCreatePost);
+    document.getElementById('post-audience-btn')?.addEventListener('click', showPostAudienceModal);
+    document.getElementById('save-post-audience-btn')?.addEventListener('click', handleSavePostAudiencePeople);
+    document.getElementById('new-friend-list-btn')?.addEventListener('click', () => showFriendListModal());
+    document.getElementById('save-friend-list-btn')?.addEventListener('click', handleSaveFriendList);
+    document.getElementById('delete-friend-list-btn')?.addEventListener('click', handleDeleteFriendList);
+    document.getElementById('save-post-edit-btn')?.addEventListener('click', handleSavePostEdit);
+    document.getElementById('edit-post-image-btn')?.addEventListener('click', () => {
+        document.getElementById('edit-post-image').click();
+    });
+    document.getElementById('edit-post-image')?.addEventListener('change', handleEditPostImageSelect);
     document.getElementById('add-image-btn')?.addEventListener('click', () => {
         document.getElementById('post-image').click();
     });
     document.getElementById('post-image')?.addEventListener('change', handlePostImageSelect);
-    document.getElementById('remove-image')?.addEventListener('click', removePostImage);
+    document.getElementById('add-video-btn')?.addEventListener('click', () => {
+        document.getElementById('post-video').click();
+    });
+    document.getElementById('post-video')?.addEventListener('change', handlePostVideoSelect);
+    document.getElementById('remove-video')?.addEventListener('click', removePostVideo);
+    
+    // Image lightbox
+    document.getElementById('lightbox-close')?.addEventListener('click', closeImageLightbox);
+    document.getElementById('lightbox-prev')?.addEventListener('click', () => showLightboxImage(lightboxIndex - 1));
+    document.getElementById('lightbox-next')?.addEventListener('click', () => showLightboxImage(lightboxIndex + 1));
+    document.getElementById('image-lightbox')?.addEventListener('click', (e) => {
+        if (e.target.id === 'image-lightbox') {
+            closeImageLightbox();
+        }
+    });
+    document.getElementById('lightbox-image')?.addEventListener('pointerdown', (e) => {
+        lightboxPointerX = e.clientX;
+    });
+    document.getElementById('lightbox-image')?.addEventListener('pointerup', handleLightboxSwipe);
+    document.addEventListener('keydown', handleLightboxKeydown);
+    setupFeedInfiniteScroll();
     
     // Chat
+    document.getElementById('new-group-btn')?.addEventListener('click', showCreateGroupModal);
+    document.getElementById('new-message-btn')?.addEventListener('click', showMessageRequestModal);
+    document.getElementById('chat-search-input')?.addEventListener('input', handleChatSearchInput);
+    document.getElementById('chat-search-clear')?.addEventListener('click', clearChatSearch);
+    document.getElementById('send-message-request-btn')?.addEventListener('click', handleSendMessageRequest);
+    document.getElementById('accept-message-request-btn')?.addEventListener('click', handleAcceptMessageRequest);
+    document.getElementById('ignore-message-request-btn')?.addEventListener('click', () => handleDeclineMessageRequest(false));
+    document.getElementById('block-message-request-btn')?.addEventListener('click', () => handleDeclineMessageRequest(true));
+    document.getElementById('create-group-btn')?.addEventListener('click', handleCreateGroup);
+    document.getElementById('chat-info-btn')?.addEventListener('click', showGroupInfoModal);
+    document.getElementById('chat-encryption-btn')?.addEventListener('click', showEncryptionModal);
+    document.getElementById('toggle-encryption-btn')?.addEventListener('click', handleToggleEncryption);
+    document.getElementById('chat-disappearing-btn')?.addEventListener('click', showDisappearingModal);
+    document.getElementById('chat-export-btn')?.addEventListener('click', showExportChatModal);
+    document.getElementById('chat-insights-btn')?.addEventListener('click', showChatInsightsModal);
+    document.getElementById('verify-contact-btn')?.addEventListener('click', handleToggleContactVerified);
+    document.getElementById('audio-call-btn')?.addEventListener('click', () => handleStartCall(CALL_TYPES.AUDIO));
+    document.getElementById('video-call-btn')?.addEventListener('click', () => handleStartCall(CALL_TYPES.VIDEO));
+    document.getElementById('accept-call-btn')?.addEventListener('click', handleAcceptCall);
+    document.getElementById('decline-call-btn')?.addEventListener('click', handleDeclineCall);
+    document.getElementById('hangup-btn')?.addEventListener('click', handleHangUp);
+    document.getElementById('toggle-mic-btn')?.addEventListener('click', handleToggleMicrophone);
+    document.getElementById('toggle-camera-btn')?.addEventListener('click', handleToggleCamera);
+    document.getElementById('add-group-members-btn')?.addEventListener('click', handleAddGroupMembers);
+    document.getElementById('leave-group-btn')?.addEventListener('click', handleLeaveGroup);
     document.getElementById('send-message-btn')?.addEventListener('click', handleSendMessage);
     document.getElementById('chat-input')?.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
             handleSendMessage();
         }
     });
+    document.getElementById('chat-input')?.addEventListener('input', handleChatInputTyping);
+    document.getElementById('chat-compose-cancel')?.addEventListener('click', () => {
+        cancelEditingMessage();
+        cancelReplyingToMessage();
+    });
+    document.getElementById('chat-messages')?.addEventListener('scroll', handleChatMessagesScroll);
+    document.getElementById('chat-attach-btn')?.addEventListener('click', () => {
+        document.getElementById('chat-attachment-input').click();
+    });
+    
+    // Hold to record a voice message; releasing outside the button cancels it
+    const voiceRecordBtn = document.getElementById('voice-record-btn');
+    if (voiceRecordBtn && isVoiceRecordingSupported()) {
+        voiceRecordBtn.addEventListener('pointerdown', handleVoiceRecordStart);
+        voiceRecordBtn.addEventListener('pointerup', (e) => {
+            const rect = voiceRecordBtn.getBoundingClientRect();
+            const inside = e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+            finishVoiceRecording(inside);
+        });
+        voiceRecordBtn.addEventListener('pointercancel', () => finishVoiceRecording(false));
+        voiceRecordBtn.addEventListener('contextmenu', (e) => e.preventDefault());
+    } else {
+        voiceRecordBtn?.classList.add('hidden');
+    }
+    
+    voicePlayer.addEventListener('play', () => renderVoicePlayer());
+    voicePlayer.addEventListener('pause', () => renderVoicePlayer());
+    voicePlayer.addEventListener('timeupdate', () => renderVoicePlayer());
+    voicePlayer.addEventListener('ended', () => {
+        voicePlayer.currentTime = 0;
+        renderVoicePlayer();
+    });
+    document.getElementById('chat-attachment-input')?.addEventListener('change', handleChatAttachmentSelect);
     
     // Modal close
     document.querySelectorAll('.modal-close').forEach(btn => {
@@ -132,6 +477,15 @@ function setupEventListeners() {
         if (!e.target.closest('.notifications-dropdown')) {
             document.getElementById('notifications-panel')?.classList.add('hidden');
         }
+        if (!e.target.closest('.reaction-picker, .react-message-btn')) {
+            closeReactionPicker();
+        }
+        if (!e.target.closest('.chat-item-menu, .chat-item-menu-btn')) {
+            closeChatItemMenu();
+        }
+        if (!e.target.closest('.post-history-popover, .post-edited')) {
+            closePostHistoryPopover();
+        }
     });
 }
 
@@ -142,7 +496,8 @@ async function handleGoogleSignIn() {
         btn.disabled = true;
         btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Signing in...';
         
-        await signInWithGoogle();
+        const user = await signInWithGoogle();
+        await initializeEncryptionKeys(user.uid);
     } catch (error) {
         console.error('Sign-in failed:', error);
     } finally {
@@ -157,6 +512,7 @@ async function handleSignOut() {
         // Clean up listeners
         unsubscribeFunctions.forEach(unsubscribe => unsubscribe());
         unsubscribeFunctions = [];
+        resetFeed();
         
         await signOutUser();
     } catch (error) {
@@ -336,11 +692,10 @@ async function handleCreatePost() {
     try {
         const contentTextarea = document.getElementById('post-content');
         const content = contentTextarea.value.trim();
-        const imageInput = document.getElementById('post-image');
-        const imageFile = imageInput.files[0];
+        const imageFiles = postImageItems.map(item => item.image);
         
-        if (!content && !imageFile) {
-            alert('Please add some content or an image');
+        if (!content && imageFiles.length === 0 && !postVideoFile) {
+            alert('Please add some content, an image or a video');
             return;
         }
         
@@ -348,21 +703,23 @@ async function handleCreatePost() {
         btn.disabled = true;
         btn.textContent = 'Posting...';
         
-        await createPost(content, imageFile);
+        await createPost(content, imageFiles, postAudience, {
+            videoFile: postVideoFile,
+            onProgress: (progress) => {
+                btn.textContent = `Uploading ${Math.round(progress)}%`;
+            }
+        });
         
         // Clear form
         contentTextarea.value = '';
-        imageInput.value = '';
-        removePostImage();
+        clearPostImages();
+        removePostVideo();
         
         btn.disabled = false;
         btn.textContent = 'Post';
-        
-        // Reload feed
-        loadFeedPosts();
     } catch (error) {
         console.error('Error creating post:', error);
-        alert('Failed to create post. Please try again.');
+        alert(error.message || 'Failed to create post. Please try again.');
         
         const btn = document.getElementById('create-post-btn');
         btn.disabled = false;
@@ -370,396 +727,3263 @@ async function handleCreatePost() {
     }
 }
 
-function handlePostImageSelect(e) {
-    const file = e.target.files[0];
-    if (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const preview = document.getElementById('image-preview');
-            const previewImage = document.getElementById('preview-image');
-            
-            previewImage.src = e.target.result;
-            preview.classList.remove('hidden');
-        };
-        reader.readAsDataURL(file);
+// Icon and label of a post audience
+function describePostAudience(audience) {
+    if (audience.type === POST_AUDIENCES.PUBLIC) {
+        return { icon: 'fa-earth-americas', label: 'Public' };
+    }
+    
+    if (audience.type === POST_AUDIENCES.ONLY_ME) {
+        return { icon: 'fa-lock', label: 'Only me' };
+    }
+    
+    if (audience.type === POST_AUDIENCES.CUSTOM) {
+        const count = audience.memberIds?.length ?? Object.keys(audience.members || {}).length;
+        return { icon: 'fa-user-check', label: count > 0 ? `${count} ${count === 1 ? 'person' : 'people'}` : 'Specific people' };
+    }
+    
+    if (audience.type === POST_AUDIENCES.FRIEND_LIST) {
+        if (audience.listId === CLOSE_FRIENDS_LIST_ID) {
+            return { icon: 'fa-star', label: 'Close friends' };
+        }
+        
+        // Other people's list names are private; only the author's own lists resolve
+        const list = friendLists.find(item => item.id === audience.listId);
+        return { icon: 'fa-list-ul', label: list ? list.name : 'Friend list' };
     }
+    
+    return { icon: 'fa-user-group', label: 'Friends' };
 }
 
-function removePostImage() {
-    document.getElementById('post-image').value = '';
-    document.getElementById('image-preview').classList.add('hidden');
+function renderPostAudienceButton() {
+    const { icon, label } = describePostAudience(postAudience);
+    const button = document.getElementById('post-audience-btn');
+    
+    button.querySelector('i').className = `fas ${icon}`;
+    button.querySelector('span').textContent = label;
 }
 
-// Chat management
-async function handleSendMessage() {
+async function showPostAudienceModal() {
     try {
-        if (!currentChatUser) return;
+        friendLists = await getFriendLists();
+        renderPostAudienceOptions();
         
-        const chatInput = document.getElementById('chat-input');
-        const message = chatInput.value.trim();
+        if (postAudience.type === POST_AUDIENCES.CUSTOM) {
+            await showAudiencePeoplePicker();
+        } else {
+            document.getElementById('post-audience-people').classList.add('hidden');
+        }
         
-        if (!message) return;
+        document.getElementById('post-audience-modal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error showing post audience:', error);
+    }
+}
+
+function renderPostAudienceOptions() {
+    const options = [
+        { audience: { type: POST_AUDIENCES.PUBLIC }, description: 'Anyone on WeFriend' },
+        { audience: { type: POST_AUDIENCES.FRIENDS }, description: 'All your friends' },
+        ...friendLists.map(list => ({
+            audience: { type: POST_AUDIENCES.FRIEND_LIST, listId: list.id },
+            description: `${list.memberIds.length} ${list.memberIds.length === 1 ? 'friend' : 'friends'}`,
+            list
+        })),
+        { audience: { type: POST_AUDIENCES.ONLY_ME }, description: 'Just you' },
+        { audience: { type: POST_AUDIENCES.CUSTOM }, description: 'Friends you pick' }
+    ];
+    
+    const container = document.getElementById('post-audience-options');
+    container.innerHTML = '';
+    
+    options.forEach(option => {
+        const { icon, label } = describePostAudience(option.audience);
+        const selected = option.audience.type === postAudience.type && option.audience.listId === postAudience.listId;
         
-        await sendMessage(currentChatUser.uid, message);
-        chatInput.value = '';
+        const row = document.createElement('div');
+        row.className = `post-audience-option${selected ? ' selected' : ''}`;
+        row.innerHTML = `
+            <button class="post-audience-select">
+                <i class="fas ${icon}"></i>
+                <span class="post-audience-label">${escapeHTML(label)}</span>
+                <span class="post-audience-description">${option.description}</span>
+            </button>
+            ${option.list ? '<button class="post-audience-edit" title="Edit list"><i class="fas fa-pen"></i></button>' : ''}
+        `;
         
-        // Mark messages as read
-        await markMessagesAsRead(currentChatUser.uid);
-    } catch (error) {
-        console.error('Error sending message:', error);
-        alert('Failed to send message. Please try again.');
+        row.querySelector('.post-audience-select').addEventListener('click', () => selectPostAudience(option.audience));
+        row.querySelector('.post-audience-edit')?.addEventListener('click', () => showFriendListModal(option.list));
+        container.appendChild(row);
+    });
+}
+
+function selectPostAudience(audience) {
+    // Specific people are picked before the choice is made
+    if (audience.type === POST_AUDIENCES.CUSTOM) {
+        showAudiencePeoplePicker();
+        return;
     }
+    
+    postAudience = audience;
+    renderPostAudienceButton();
+    document.getElementById('post-audience-modal').classList.add('hidden');
 }
 
-// Data loading functions
-async function loadFeedPosts() {
-    try {
-        // Set up real-time listener for feed posts
-        const unsubscribe = listenToFeedPosts((posts) => {
-            renderFeedPosts(posts);
-        });
-        unsubscribeFunctions.push(unsubscribe);
-    } catch (error) {
-        console.error('Error loading feed posts:', error);
+async function showAudiencePeoplePicker() {
+    const picker = document.getElementById('post-audience-member-picker');
+    renderMemberPicker(picker, await getFriendsList(), postAudience.memberIds || []);
+    document.getElementById('post-audience-people').classList.remove('hidden');
+}
+
+function handleSavePostAudiencePeople() {
+    const memberIds = getPickedMemberIds(document.getElementById('post-audience-member-picker'));
+    if (memberIds.length === 0) {
+        alert('Pick at least one person to share with');
+        return;
     }
+    
+    postAudience = { type: POST_AUDIENCES.CUSTOM, memberIds };
+    renderPostAudienceButton();
+    document.getElementById('post-audience-modal').classList.add('hidden');
 }
 
-async function loadFriendsData() {
+// Create a friend list (no list given) or edit one; Close friends keeps its name
+async function showFriendListModal(list = null) {
     try {
-        // Set up real-time listeners
-        const unsubscribeFriendRequests = listenToFriendRequests((requests) => {
-            renderFriendRequests(requests);
-        });
+        editingFriendListId = list?.id || null;
         
-        const unsubscribeFriendsList = listenToFriendsList((friends) => {
-            renderFriendsList(friends);
-        });
+        const nameInput = document.getElementById('friend-list-name-input');
+        nameInput.value = list?.name || '';
+        nameInput.disabled = list?.id === CLOSE_FRIENDS_LIST_ID;
         
-        unsubscribeFunctions.push(unsubscribeFriendRequests, unsubscribeFriendsList);
+        document.getElementById('friend-list-modal-title').textContent = list ? list.name : 'New Friend List';
+        document.getElementById('delete-friend-list-btn').classList.toggle('hidden', !list || list.id === CLOSE_FRIENDS_LIST_ID);
+        
+        renderMemberPicker(document.getElementById('friend-list-member-picker'), await getFriendsList(), list?.memberIds || []);
+        
+        document.getElementById('friend-list-modal').classList.remove('hidden');
+        if (!nameInput.disabled) {
+            nameInput.focus();
+        }
     } catch (error) {
-        console.error('Error loading friends data:', error);
+        console.error('Error showing friend list:', error);
     }
 }
 
-async function loadUserChats() {
+async function handleSaveFriendList() {
+    const btn = document.getElementById('save-friend-list-btn');
+    
     try {
-        // Set up real-time listener for user chats
-        const unsubscribe = listenToUserChats((chats) => {
-            renderChatList(chats);
-        });
-        unsubscribeFunctions.push(unsubscribe);
+        btn.disabled = true;
+        
+        await saveFriendList(
+            editingFriendListId,
+            document.getElementById('friend-list-name-input').value,
+            getPickedMemberIds(document.getElementById('friend-list-member-picker'))
+        );
+        
+        friendLists = await getFriendLists();
+        renderPostAudienceOptions();
+        renderPostAudienceButton();
+        document.getElementById('friend-list-modal').classList.add('hidden');
     } catch (error) {
-        console.error('Error loading user chats:', error);
+        console.error('Error saving friend list:', error);
+        alert(error.message || 'Failed to save friend list');
+    } finally {
+        btn.disabled = false;
     }
 }
 
-async function loadUserProfile() {
+async function handleDeleteFriendList() {
     try {
-        const username = await getCurrentUsername(getCurrentUserId());
-        if (username) {
-            document.getElementById('username-input').value = username;
+        const list = friendLists.find(item => item.id === editingFriendListId);
+        if (!list || !confirm(`Delete the list "${list.name}"? Posts shared with it will only be visible to you.`)) return;
+        
+        await deleteFriendList(list.id);
+        
+        if (postAudience.listId === list.id) {
+            postAudience = { type: POST_AUDIENCES.FRIENDS };
         }
+        
+        friendLists = await getFriendLists();
+        renderPostAudienceOptions();
+        renderPostAudienceButton();
+        document.getElementById('friend-list-modal').classList.add('hidden');
     } catch (error) {
-        console.error('Error loading user profile:', error);
+        console.error('Error deleting friend list:', error);
+        alert(error.message || 'Failed to delete friend list');
     }
 }
 
-async function loadNotifications() {
+function handlePostImageSelect(e) {
+    addPostImageFiles(postImageItems, [...e.target.files]);
+    
+    // Cleared so picking the same file again still fires a change
+    e.target.value = '';
+    renderPostImagePicker(document.getElementById('image-preview'), postImageItems);
+}
+
+function clearPostImages() {
+    postImageItems.forEach(item => {
+        if (item.image instanceof File) {
+            URL.revokeObjectURL(item.src);
+        }
+    });
+    postImageItems = [];
+    renderPostImagePicker(document.getElementById('image-preview'), postImageItems);
+}
+
+// Check the video's format, size and length as soon as it is picked
+async function handlePostVideoSelect(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
     try {
-        // Set up real-time listener for notifications
-        const unsubscribe = listenToUserNotifications((notifications) => {
-            renderNotifications(notifications);
-        });
+        const validation = validateVideoFile(file);
+        if (!validation.isValid) {
+            alert(validation.errors[0]);
+            return;
+        }
         
-        // Set up unread count listener
-        const unsubscribeCount = listenToUnreadNotificationsCount((count) => {
-            updateNotificationCount(count);
-        });
+        const details = await getVideoDetails(file);
+        if (details.duration > MAX_POST_VIDEO_DURATION) {
+            alert(`Videos can be at most ${MAX_POST_VIDEO_DURATION} seconds long`);
+            return;
+        }
         
-        unsubscribeFunctions.push(unsubscribe, unsubscribeCount);
+        removePostVideo();
+        postVideoFile = file;
+        postVideoPreviewURL = URL.createObjectURL(file);
+        document.getElementById('preview-video').src = postVideoPreviewURL;
+        document.getElementById('video-preview').classList.remove('hidden');
     } catch (error) {
-        console.error('Error loading notifications:', error);
+        console.error('Error reading video:', error);
+        alert(error.message || 'Failed to read video');
     }
 }
 
-// Rendering functions
-function renderFeedPosts(posts) {
-    const container = document.getElementById('posts-container');
-    container.innerHTML = '';
+function removePostVideo() {
+    if (postVideoPreviewURL) {
+        URL.revokeObjectURL(postVideoPreviewURL);
+    }
     
-    posts.forEach(post => {
-        const postElement = createPostElement(post);
-        container.appendChild(postElement);
-    });
+    postVideoFile = null;
+    postVideoPreviewURL = null;
+    document.getElementById('preview-video').removeAttribute('src');
+    document.getElementById('video-preview').classList.add('hidden');
 }
 
-function renderFriendRequests(requests) {
-    const container = document.getElementById('friend-requests-list');
-    container.innerHTML = '';
+// Add picked files to a list of post images, up to the limit
+function addPostImageFiles(items, files) {
+    const imageFiles = files.filter(file => file.type.startsWith('image/'));
+    const room = MAX_POST_IMAGES - items.length;
     
-    if (requests.length === 0) {
-        container.innerHTML = '<p class="text-secondary">No friend requests</p>';
-        return;
+    if (imageFiles.length > room) {
+        alert(`A post can have at most ${MAX_POST_IMAGES} images`);
     }
     
-    requests.forEach(request => {
-        const requestElement = createFriendRequestElement(request);
-        container.appendChild(requestElement);
+    imageFiles.slice(0, Math.max(room, 0)).forEach(file => {
+        items.push({ src: URL.createObjectURL(file), image: file });
     });
 }
 
-function renderFriendsList(friends) {
-    const container = document.getElementById('friends-list');
+// Thumbnails of a list of post images, with buttons to move each one or remove it
+function renderPostImagePicker(container, items) {
     container.innerHTML = '';
+    container.classList.toggle('hidden', items.length === 0);
     
-    if (friends.length === 0) {
-        container.innerHTML = '<p class="text-secondary">No friends yet</p>';
-        return;
-    }
-    
-    friends.forEach(friend => {
-        const friendElement = createFriendElement(friend);
-        container.appendChild(friendElement);
+    items.forEach((item, index) => {
+        const div = document.createElement('div');
+        div.className = 'image-preview-item';
+        div.innerHTML = `
+            <img src="${item.src}" alt="Image ${index + 1}">
+            <button class="remove-image" data-action="remove" title="Remove">×</button>
+            <div class="image-preview-order">
+                <button data-action="back" title="Move earlier"${index === 0 ? ' disabled' : ''}><i class="fas fa-chevron-left"></i></button>
+                <button data-action="forward" title="Move later"${index === items.length - 1 ? ' disabled' : ''}><i class="fas fa-chevron-right"></i></button>
+            </div>
+        `;
+        
+        div.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.action === 'remove') {
+                    const [removed] = items.splice(index, 1);
+                    if (removed.image instanceof File) {
+                        URL.revokeObjectURL(removed.src);
+                    }
+                } else {
+                    const target = button.dataset.action === 'back' ? index - 1 : index + 1;
+                    [items[index], items[target]] = [items[target], items[index]];
+                }
+                
+                renderPostImagePicker(container, items);
+            });
+        });
+        
+        container.appendChild(div);
     });
 }
 
-function renderChatList(chats) {
-    const container = document.getElementById('chat-list');
-    container.innerHTML = '';
-    
-    if (chats.length === 0) {
-        container.innerHTML = '<p class="text-secondary">No chats yet</p>';
-        return;
+// The modal is filled from the stored post, so it never edits a stale copy
+async function showEditPostModal(postId) {
+    try {
+        editingPost = await getPostById(postId);
+        if (!editingPost) {
+            alert('This post is no longer available');
+            return;
+        }
+        
+        document.getElementById('edit-post-content').value = editingPost.content || '';
+        editPostImageItems = getPostImages(editingPost).map(image => ({ src: image.url, image }));
+        renderPostImagePicker(document.getElementById('edit-post-images'), editPostImageItems);
+        
+        document.getElementById('edit-post-modal').classList.remove('hidden');
+        document.getElementById('edit-post-content').focus();
+    } catch (error) {
+        console.error('Error showing edit post:', error);
     }
-    
-    chats.forEach(chat => {
-        const chatElement = createChatListElement(chat);
-        container.appendChild(chatElement);
-    });
 }
 
-function renderNotifications(notifications) {
-    const container = document.getElementById('notifications-list');
-    container.innerHTML = '';
+function handleEditPostImageSelect(e) {
+    addPostImageFiles(editPostImageItems, [...e.target.files]);
+    e.target.value = '';
+    renderPostImagePicker(document.getElementById('edit-post-images'), editPostImageItems);
+}
+
+async function handleSavePostEdit() {
+    const btn = document.getElementById('save-post-edit-btn');
     
-    if (notifications.length === 0) {
-        container.innerHTML = '<p class="text-secondary">No notifications</p>';
-        return;
+    try {
+        if (!editingPost) return;
+        
+        btn.disabled = true;
+        btn.textContent = 'Saving...';
+        
+        await editPost(editingPost.id, document.getElementById('edit-post-content').value, {
+            images: editPostImageItems.map(item => item.image),
+            onProgress: (progress) => {
+                btn.textContent = `Uploading ${Math.round(progress)}%`;
+            }
+        });
+        
+        editingPost = null;
+        document.getElementById('edit-post-modal').classList.add('hidden');
+    } catch (error) {
+        console.error('Error editing post:', error);
+        alert(error.message || 'Failed to edit post. Please try again.');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Save';
     }
+}
+
+// Version history of an edited post, current version first
+async function showPostHistoryPopover(postElement, postId) {
+    closePostHistoryPopover();
     
-    notifications.forEach(notification => {
-        const notificationElement = createNotificationElement(notification);
-        container.appendChild(notificationElement);
-    });
+    try {
+        const post = await getPostById(postId);
+        if (!post) return;
+        
+        const currentPaths = getPostImages(post).map(image => image.path);
+        const versions = [
+            { content: post.content, imagePaths: currentPaths, createdAt: post.editedAt, current: true },
+            ...getPostVersions(post)
+        ];
+        
+        // Photos of an earlier version that are gone now (their files were deleted)
+        const describeRemovedImages = (version) => {
+            const count = version.imagePaths.filter(path => !currentPaths.includes(path)).length;
+            if (count === 0) return '';
+            
+            const text = count === 1 ? 'Had a photo that was later removed' : `Had ${count} photos that were later removed`;
+            return `<div class="post-history-note"><i class="fas fa-image"></i> ${text}</div>`;
+        };
+        
+        const popover = document.createElement('div');
+        popover.className = 'post-history-popover';
+        popover.innerHTML = `
+            <div class="post-history-title">Edit history</div>
+            ${versions.map(version => `
+                <div class="post-history-version">
+                    <div class="post-history-time">${version.current ? 'Current · ' : ''}${formatReceiptTime(version.createdAt)}</div>
+                    ${version.content ? `<div class="post-history-text">${escapeHTML(version.content)}</div>` : ''}
+                    ${describeRemovedImages(version)}
+                </div>
+            `).join('')}
+        `;
+        
+        popover.addEventListener('click', (e) => e.stopPropagation());
+        // Shown in the flow of the card (which clips overflow), right under the header
+        postElement.querySelector('.post-header').after(popover);
+    } catch (error) {
+        console.error('Error showing post history:', error);
+    }
 }
 
-// Element creation functions
-function createPostElement(post) {
-    const div = document.createElement('div');
-    div.className = 'post-card';
-    div.innerHTML = `
-        <div class="post-header">
-            <img src="${post.authorPhoto || '/images/default-avatar.png'}" alt="${post.authorName}">
-            <div class="post-user-info">
-                <h4>${post.authorName}</h4>
-                <div class="post-timestamp">${formatTimeAgo(post.createdAt)}</div>
-            </div>
-        </div>
-        <div class="post-content">
-            ${post.content ? `<div class="post-text">${post.content}</div>` : ''}
-            ${post.image ? `<img src="${post.image.url}" alt="Post image" class="post-image">` : ''}
-        </div>
-        <div class="post-actions">
-            <button class="post-action-btn like-btn" data-post-id="${post.id}">
-                <i class="fas fa-heart"></i>
-                <span>${post.likesCount || 0}</span>
-            </button>
-            <button class="post-action-btn comment-btn" data-post-id="${post.id}">
-                <i class="fas fa-comment"></i>
-                <span>${post.commentsCount || 0}</span>
-            </button>
-        </div>
-    `;
+function closePostHistoryPopover() {
+    document.querySelector('.post-history-popover')?.remove();
+}
+
+// Chat management
+async function handleSendMessage() {
+    try {
+        if (!currentChat) return;
+        
+        const chatInput = document.getElementById('chat-input');
+        const message = chatInput.value.trim();
+        
+        if (!message) return;
+        
+        stopTyping();
+        
+        if (editingMessageId) {
+            await editMessage(currentChat.chatId, editingMessageId, message);
+            cancelEditingMessage();
+            return;
+        }
+        
+        // Shown right away as sending; the outbox delivers it when the connection allows
+        await queueMessage(currentChat.chatId, message, replyingToMessage);
+        chatInput.value = '';
+        cancelReplyingToMessage();
+        
+        // Mark messages as read
+        markMessagesAsRead(currentChat.chatId);
+    } catch (error) {
+        console.error('Error sending message:', error);
+        alert('Failed to send message. Please try again.');
+    }
+}
+
+// Upload the picked files one by one; the chat input text becomes the first file's caption
+async function handleChatAttachmentSelect(e) {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
     
-    // Add event listeners
-    const likeBtn = div.querySelector('.like-btn');
-    likeBtn.addEventListener('click', () => handlePostLike(post.id));
+    if (!currentChat || files.length === 0) return;
     
-    return div;
+    const chatId = currentChat.chatId;
+    const chatInput = document.getElementById('chat-input');
+    let caption = editingMessageId ? '' : chatInput.value.trim();
+    let replyTo = editingMessageId ? null : replyingToMessage;
+    
+    if (caption) {
+        chatInput.value = '';
+        stopTyping();
+    }
+    cancelReplyingToMessage();
+    
+    for (const file of files) {
+        const upload = { chatId, element: createUploadBubble(file) };
+        pendingUploads.push(upload);
+        appendPendingUploads();
+        
+        try {
+            await sendAttachmentMessage(chatId, file, caption, (progress) => {
+                upload.element.querySelector('.upload-progress-bar').style.width = `${progress}%`;
+            }, replyTo);
+            caption = '';
+            replyTo = null;
+            
+            if (currentChat?.chatId === chatId) {
+                await markMessagesAsRead(chatId);
+            }
+        } catch (error) {
+            console.error('Error sending attachment:', error);
+            alert(error.message || `Failed to send ${file.name}`);
+        } finally {
+            pendingUploads = pendingUploads.filter(pending => pending !== upload);
+            upload.element.remove();
+        }
+    }
 }
 
-function createFriendRequestElement(request) {
-    const div = document.createElement('div');
-    div.className = 'friend-request-item';
-    div.innerHTML = `
-        <div class="friend-info">
-            <img src="${request.photoURL || '/images/default-avatar.png'}" alt="${request.displayName}">
-            <div class="friend-details">
-                <h5>${request.displayName}</h5>
-                <div class="friend-username">@${request.username || 'No username'}</div>
-            </div>
-        </div>
-        <div class="friend-actions">
-            <button class="friend-action-btn accept-btn" data-user-id="${request.fromUserId}">Accept</button>
-            <button class="friend-action-btn reject-btn" data-user-id="${request.fromUserId}">Reject</button>
-        </div>
-    `;
+// Start recording while the voice button is held down
+async function handleVoiceRecordStart(e) {
+    if (!currentChat || voiceRecording || e.button > 0) return;
     
-    // Add event listeners
-    div.querySelector('.accept-btn').addEventListener('click', () => handleAcceptFriendRequest(request.fromUserId));
-    div.querySelector('.reject-btn').addEventListener('click', () => handleRejectFriendRequest(request.fromUserId));
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
     
-    return div;
+    const session = { chatId: currentChat.chatId, recorder: null, timer: null, cancelled: false };
+    voiceRecording = session;
+    
+    try {
+        session.recorder = await startVoiceRecording();
+    } catch (error) {
+        console.error('Error starting voice recording:', error);
+        if (voiceRecording === session) {
+            voiceRecording = null;
+        }
+        alert(error.name === 'NotAllowedError'
+            ? 'Allow microphone access to record voice messages'
+            : error.message || 'Failed to start recording');
+        return;
+    }
+    
+    // Released (or the chat was closed) while the microphone was starting
+    if (session.cancelled) {
+        session.recorder.cancel();
+        return;
+    }
+    
+    const renderElapsed = () => {
+        const elapsed = Date.now() - session.recorder.startedAt;
+        document.getElementById('voice-recording-time').textContent = formatDuration(elapsed / 1000);
+        
+        if (elapsed >= MAX_VOICE_DURATION) {
+            finishVoiceRecording(true);
+        }
+    };
+    
+    renderElapsed();
+    session.timer = setInterval(renderElapsed, 250);
+    document.getElementById('voice-record-btn').classList.add('recording');
+    document.getElementById('chat-input').classList.add('hidden');
+    document.getElementById('voice-recording-indicator').classList.remove('hidden');
 }
 
-function createFriendElement(friend) {
+// Stop recording; send the message unless cancelled or too short to be intentional
+async function finishVoiceRecording(send) {
+    const session = voiceRecording;
+    if (!session) return;
+    
+    voiceRecording = null;
+    clearInterval(session.timer);
+    document.getElementById('voice-record-btn').classList.remove('recording');
+    document.getElementById('chat-input').classList.remove('hidden');
+    document.getElementById('voice-recording-indicator').classList.add('hidden');
+    
+    if (!session.recorder) {
+        session.cancelled = true;
+        return;
+    }
+    
+    if (!send || Date.now() - session.recorder.startedAt < MIN_VOICE_DURATION) {
+        session.recorder.cancel();
+        return;
+    }
+    
+    const replyTo = editingMessageId ? null : replyingToMessage;
+    cancelReplyingToMessage();
+    
+    let upload = null;
+    
+    try {
+        const recording = await session.recorder.stop();
+        
+        upload = {
+            chatId: session.chatId,
+            element: createUploadBubble({ name: 'Voice message', type: recording.blob.type, size: recording.blob.size })
+        };
+        pendingUploads.push(upload);
+        appendPendingUploads();
+        
+        await sendVoiceMessage(session.chatId, recording, (progress) => {
+            upload.element.querySelector('.upload-progress-bar').style.width = `${progress}%`;
+        }, replyTo);
+        
+        if (currentChat?.chatId === session.chatId) {
+            await markMessagesAsRead(session.chatId);
+        }
+    } catch (error) {
+        console.error('Error sending voice message:', error);
+        alert(error.message || 'Failed to send voice message');
+    } finally {
+        if (upload) {
+            pendingUploads = pendingUploads.filter(pending => pending !== upload);
+            upload.element.remove();
+        }
+    }
+}
+
+function createUploadBubble(file) {
     const div = document.createElement('div');
-    div.className = 'friend-item';
+    div.className = 'message sent uploading';
     div.innerHTML = `
-        <div class="friend-info">
-            <img src="${friend.photoURL || '/images/default-avatar.png'}" alt="${friend.displayName}">
-            <div class="friend-details">
-                <h5>${friend.displayName}</h5>
-                <div class="friend-username">@${friend.username || 'No username'}</div>
-                <div class="friend-status">
-                    <span class="status-indicator"></span>
-                    <span>Offline</span>
+        <div class="message-content">
+            <div class="message-file">
+                <i class="fas ${getFileIcon(file.type)}"></i>
+                <div class="message-file-info">
+                    <div class="message-file-name">${escapeHTML(file.name)}</div>
+                    <div class="message-file-size">Uploading · ${formatFileSize(file.size)}</div>
                 </div>
             </div>
-        </div>
-        <div class="friend-actions">
-            <button class="friend-action-btn chat-btn" data-user-id="${friend.uid}">Chat</button>
+            <div class="upload-progress">
+                <div class="upload-progress-bar"></div>
+            </div>
         </div>
     `;
+    return div;
+}
+
+// Show the open chat's queued messages below the loaded ones. A message whose send has started
+// usually already shows up in the chat (the database applies local writes right away) and only
+// gets a sending status; the rest are drawn here as sending or failed bubbles.
+function renderOutboxMessages() {
+    const container = document.getElementById('chat-messages');
+    container.querySelectorAll('.message.outbox').forEach(element => element.remove());
     
-    // Add event listeners
-    div.querySelector('.chat-btn').addEventListener('click', () => openChat(friend));
+    if (!currentChat) return;
     
-    return div;
+    const firstUpload = container.querySelector('.message.uploading');
+    getOutboxMessages(currentChat.chatId)
+        .filter(entry => !currentMessages.some(message => message.id === entry.id))
+        .forEach(entry => container.insertBefore(createOutboxElement(entry), firstUpload));
+    
+    updateMessageReceipts();
+    
+    if (chatPinnedToBottom) {
+        container.scrollTop = container.scrollHeight;
+    }
 }
 
-function createChatListElement(chat) {
+function createOutboxElement(entry) {
+    const failed = entry.status === OUTBOX_STATUS.FAILED;
     const div = document.createElement('div');
-    div.className = 'chat-list-item';
+    div.className = `message sent outbox${failed ? ' failed' : ''}`;
+    div.dataset.outboxId = entry.id;
     div.innerHTML = `
-        <img src="${chat.otherUser.photoURL || '/images/default-avatar.png'}" alt="${chat.otherUser.displayName}">
-        <div class="chat-item-info">
-            <h5>${chat.otherUser.displayName}</h5>
-            <div class="chat-last-message">${chat.lastMessage || 'No messages yet'}</div>
+        <div class="message-content">
+            ${entry.replyTo ? createQuoteHTML({ senderId: entry.replyTo.senderId, snippet: entry.replyTo.text }) : ''}
+            <div class="message-text">${escapeHTML(entry.text)}</div>
+            <div class="message-time">
+                ${failed ? `
+                    <button class="outbox-retry-btn" title="${escapeHTML(entry.lastError || '')}"><i class="fas fa-circle-exclamation"></i> Failed, tap to retry</button>
+                    <button class="outbox-discard-btn" title="Delete"><i class="fas fa-times"></i></button>
+                ` : '<span class="message-status sending" title="Sending..."><i class="far fa-clock"></i></span>'}
+            </div>
         </div>
-        ${chat.unreadCount > 0 ? `<div class="unread-badge">${chat.unreadCount}</div>` : ''}
     `;
     
-    div.addEventListener('click', () => openChat(chat.otherUser));
+    div.querySelector('.message-quote')?.addEventListener('click', () => jumpToMessage(entry.replyTo.id));
+    div.querySelector('.outbox-retry-btn')?.addEventListener('click', () => retryMessage(entry.id));
+    div.querySelector('.outbox-discard-btn')?.addEventListener('click', () => discardMessage(entry.id));
     
     return div;
 }
 
-function createNotificationElement(notification) {
-    const div = document.createElement('div');
-    div.className = `notification-item ${notification.read ? 'read' : 'unread'}`;
-    div.innerHTML = `
-        <div class="notification-icon">
-            <i class="${getNotificationIcon(notification.type)}"></i>
-        </div>
-        <div class="notification-content">
-            <div class="notification-message">${formatNotificationMessage(notification)}</div>
-            <div class="notification-time">${formatTimeAgo(notification.createdAt)}</div>
-        </div>
-    `;
+// Keep upload bubbles for the open chat at the bottom of the message list
+function appendPendingUploads() {
+    const container = document.getElementById('chat-messages');
     
-    return div;
+    pendingUploads
+        .filter(upload => upload.chatId === currentChat?.chatId)
+        .forEach(upload => container.appendChild(upload.element));
+    
+    container.scrollTop = container.scrollHeight;
 }
 
-// Event handlers
-async function handlePostLike(postId) {
+// Put one of the user's messages into the input for editing
+function startEditingMessage(message) {
+    cancelReplyingToMessage();
+    editingMessageId = message.id;
+    
+    const chatInput = document.getElementById('chat-input');
+    chatInput.value = message.text;
+    chatInput.focus();
+    
+    document.getElementById('chat-compose-context-text').textContent = 'Editing message';
+    document.getElementById('chat-compose-context').classList.remove('hidden');
+}
+
+function cancelEditingMessage() {
+    if (!editingMessageId) return;
+    
+    editingMessageId = null;
+    document.getElementById('chat-input').value = '';
+    document.getElementById('chat-compose-context').classList.add('hidden');
+}
+
+// Quote a message in the next message sent
+function startReplyingToMessage(message) {
+    cancelEditingMessage();
+    replyingToMessage = message;
+    
+    const name = message.senderId === getCurrentUserId() ? 'yourself' : getChatMemberName(message.senderId);
+    document.getElementById('chat-compose-context-text').textContent = `Replying to ${name}`;
+    document.getElementById('chat-compose-context').classList.remove('hidden');
+    document.getElementById('chat-input').focus();
+}
+
+function cancelReplyingToMessage() {
+    if (!replyingToMessage) return;
+    
+    replyingToMessage = null;
+    document.getElementById('chat-compose-context').classList.add('hidden');
+}
+
+async function handleUnsendMessage(message) {
     try {
-        await togglePostLike(postId);
+        if (!confirm('Unsend this message for everyone?')) return;
+        
+        if (editingMessageId === message.id) {
+            cancelEditingMessage();
+        }
+        
+        await unsendMessage(currentChat.chatId, message.id);
     } catch (error) {
-        console.error('Error toggling post like:', error);
+        console.error('Error unsending message:', error);
+        alert(error.message || 'Failed to unsend message');
     }
 }
 
-async function handleAcceptFriendRequest(fromUserId) {
-    try {
-        await acceptFriendRequest(fromUserId);
-    } catch (error) {
-        console.error('Error accepting friend request:', error);
-        alert('Failed to accept friend request');
+// Publish typing state at most once per burst of keystrokes
+function handleChatInputTyping() {
+    if (!currentChat) return;
+    
+    const chatInput = document.getElementById('chat-input');
+    if (!chatInput.value.trim()) {
+        stopTyping();
+        return;
+    }
+    
+    if (!isTyping) {
+        isTyping = true;
+        setTypingStatus(currentChat.chatId, true);
     }
+    
+    // Stop typing after a pause in keystrokes
+    clearTimeout(typingTimeout);
+    typingTimeout = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
 }
 
-async function handleRejectFriendRequest(fromUserId) {
-    try {
-        await rejectFriendRequest(fromUserId);
-    } catch (error) {
-        console.error('Error rejecting friend request:', error);
-        alert('Failed to reject friend request');
+function stopTyping() {
+    clearTimeout(typingTimeout);
+    typingTimeout = null;
+    
+    if (isTyping && currentChat) {
+        setTypingStatus(currentChat.chatId, false);
     }
+    isTyping = false;
 }
 
-async function openChat(user) {
+function renderTypingIndicator(typingUserIds) {
+    const indicator = document.getElementById('chat-typing-indicator');
+    
+    const names = typingUserIds.map(uid => {
+        if (currentChat?.type === CHAT_TYPES.GROUP) {
+            return currentChat.members[uid]?.displayName || 'Someone';
+        }
+        return currentChat?.otherUser?.displayName || 'Someone';
+    });
+    
+    if (names.length === 0) {
+        indicator.classList.add('hidden');
+        return;
+    }
+    
+    if (names.length === 1) {
+        indicator.textContent = `${names[0]} is typing…`;
+    } else if (names.length === 2) {
+        indicator.textContent = `${names[0]} and ${names[1]} are typing…`;
+    } else {
+        indicator.textContent = 'Several people are typing…';
+    }
+    indicator.classList.remove('hidden');
+}
+
+// Data loading functions
+async function loadFeedPosts() {
+    if (feedStarted) return;
+    
     try {
-        currentChatUser = user;
+        resetFeed();
+        feedStarted = true;
         
-        // Update chat UI
-        document.getElementById('chat-placeholder').classList.add('hidden');
-        document.getElementById('chat-window').classList.remove('hidden');
+        // Load the first page, then listen only for posts newer than it
+        if (!(await loadOlderFeedPosts())) {
+            // Let the next visit to the tab try again
+            feedStarted = false;
+            return;
+        }
         
-        // Update chat header
-        document.getElementById('chat-friend-avatar').src = user.photoURL || '/images/default-avatar.png';
-        document.getElementById('chat-friend-name').textContent = user.displayName;
-        document.getElementById('chat-friend-status').textContent = 'Online'; // TODO: Update with real presence
+        // Signed out while the first page was loading
+        if (!feedStarted) return;
         
-        // Start chat and load messages
-        await startChatWithFriend(user.uid);
+        if (unsubscribeNewFeedPosts) {
+            unsubscribeNewFeedPosts();
+        }
         
-        // Set up real-time message listener
-        const unsubscribe = listenToChatMessages(user.uid, (messages) => {
-            renderChatMessages(messages);
-        });
+        const newestPost = document.querySelector('#posts-container .post-card');
+        const newestCursor = newestPost
+            ? { createdAt: Number(newestPost.dataset.createdAt), key: newestPost.dataset.postId }
+            : null;
         
-        // Clean up previous chat listener
-        if (window.currentChatUnsubscribe) {
-            window.currentChatUnsubscribe();
-        }
-        window.currentChatUnsubscribe = unsubscribe;
+        unsubscribeNewFeedPosts = listenToNewFeedPosts(newestCursor, (post) => {
+            prependFeedPost(post);
+        });
+    } catch (error) {
+        feedStarted = false;
+        console.error('Error loading feed posts:', error);
+    }
+}
+
+// Append the next page of the feed; resolves to whether a page was loaded
+async function loadOlderFeedPosts() {
+    if (feedLoading || !feedHasMore) return false;
+    
+    const loader = document.getElementById('feed-loader');
+    let pageLoaded = false;
+    
+    try {
+        feedLoading = true;
+        loader?.classList.remove('hidden');
         
-        // Mark messages as read
-        await markMessagesAsRead(user.uid);
+        const page = await getFeedPage(feedCursor, FEED_PAGE_SIZE);
         
-        // Switch to chat tab
-        switchTab('chat');
+        feedCursor = page.nextCursor;
+        feedHasMore = page.hasMore;
+        appendFeedPosts(page.posts);
+        pageLoaded = true;
     } catch (error) {
-        console.error('Error opening chat:', error);
-        alert('Failed to open chat');
+        console.error('Error loading older feed posts:', error);
+    } finally {
+        feedLoading = false;
+        loader?.classList.add('hidden');
     }
+    
+    // Keep filling the page while the end of the feed is still in view
+    if (pageLoaded && feedHasMore && isFeedSentinelVisible()) {
+        loadOlderFeedPosts();
+    }
+    
+    return pageLoaded;
 }
 
-function renderChatMessages(messages) {
-    const container = document.getElementById('chat-messages');
-    container.innerHTML = '';
+function isFeedSentinelVisible() {
+    const sentinel = document.getElementById('feed-sentinel');
+    const isFeedActive = document.getElementById('feed-tab')?.classList.contains('active');
+    return sentinel && isFeedActive ? sentinel.getBoundingClientRect().top < window.innerHeight : false;
+}
+
+// Clear feed posts and stop all feed listeners
+function resetFeed() {
+    if (unsubscribeNewFeedPosts) {
+        unsubscribeNewFeedPosts();
+        unsubscribeNewFeedPosts = null;
+    }
     
-    messages.forEach(message => {
-        const messageElement = createMessageElement(message);
-        container.appendChild(messageElement);
-    });
+    Object.values(feedPostUnsubscribes).forEach(unsubscribe => unsubscribe());
+    feedPostUnsubscribes = {};
     
-    // Scroll to bottom
-    container.scrollTop = container.scrollHeight;
+    feedCursor = null;
+    feedHasMore = true;
+    feedStarted = false;
+    
+    const container = document.getElementById('posts-container');
+    if (container) {
+        container.innerHTML = '';
+    }
 }
 
-function createMessageElement(message) {
-    const div = document.createElement('div');
-    div.className = `message ${message.senderId === getCurrentUserId() ? 'sent' : 'received'}`;
-    div.innerHTML = `
-        <div class="message-content">
-            <div class="message-text">${message.text}</div>
-            <div class="message-time">${formatTimeAgo(message.timestamp || Date.now())}</div>
-        </div>
-    `;
+// Load older posts when the end of the feed scrolls into view
+function setupFeedInfiniteScroll() {
+    const sentinel = document.getElementById('feed-sentinel');
+    if (!sentinel || !('IntersectionObserver' in window)) return;
     
-    return div;
+    const observer = new IntersectionObserver((entries) => {
+        const isFeedActive = document.getElementById('feed-tab')?.classList.contains('active');
+        if (entries[0].isIntersecting && isFeedActive && feedCursor) {
+            loadOlderFeedPosts();
+        }
+    }, { rootMargin: '400px 0px' });
+    
+    observer.observe(sentinel);
+}
+
+async function loadFriendsData() {
+    try {
+        // Set up real-time listeners
+        const unsubscribeFriendRequests = listenToFriendRequests((requests) => {
+            renderFriendRequests(requests);
+        });
+        
+        const unsubscribeFriendsList = listenToFriendsList((friends) => {
+            renderFriendsList(friends);
+        });
+        
+        unsubscribeFunctions.push(unsubscribeFriendRequests, unsubscribeFriendsList);
+    } catch (error) {
+        console.error('Error loading friends data:', error);
+    }
+}
+
+async function loadUserChats() {
+    try {
+        // Set up real-time listener for user chats
+        const unsubscribe = listenToUserChats((chats) => {
+            renderChatList(chats);
+        });
+        unsubscribeFunctions.push(unsubscribe);
+    } catch (error) {
+        console.error('Error loading user chats:', error);
+    }
+}
+
+async function loadUserProfile() {
+    try {
+        const username = await getCurrentUsername(getCurrentUserId());
+        if (username) {
+            document.getElementById('username-input').value = username;
+        }
+        
+        const profile = await getUserProfile(getCurrentUserId());
+        document.getElementById('allow-message-requests-toggle').checked = profile?.allowMessageRequests !== false;
+        
+        await renderBlockedUsers();
+    } catch (error) {
+        console.error('Error loading user profile:', error);
+    }
+}
+
+async function renderBlockedUsers() {
+    const container = document.getElementById('blocked-users-list');
+    const blockedUsers = await getBlockedUsers();
+    
+    if (blockedUsers.length === 0) {
+        container.innerHTML = '<p class="text-secondary">You haven\'t blocked anyone</p>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    blockedUsers.forEach(user => {
+        const div = document.createElement('div');
+        div.className = 'friend-item';
+        div.innerHTML = `
+            <div class="friend-info">
+                <img src="${escapeHTML(user.photoURL || '/images/default-avatar.png')}" alt="${escapeHTML(user.displayName)}">
+                <div class="friend-details">
+                    <h5>${escapeHTML(user.displayName)}</h5>
+                    ${user.username ? `<div class="friend-username">@${escapeHTML(user.username)}</div>` : ''}
+                </div>
+            </div>
+            <div class="friend-actions">
+                <button class="friend-action-btn">Unblock</button>
+            </div>
+        `;
+        div.querySelector('button').addEventListener('click', () => handleUnblockUser(user));
+        container.appendChild(div);
+    });
+}
+
+async function handleUnblockUser(user) {
+    try {
+        if (!confirm(`Unblock ${user.displayName}?`)) return;
+        
+        await unblockUser(user.uid);
+        await renderBlockedUsers();
+    } catch (error) {
+        console.error('Error unblocking user:', error);
+        alert(error.message || 'Failed to unblock user');
+    }
+}
+
+async function handleToggleMessageRequests(e) {
+    try {
+        await setMessageRequestsAllowed(getCurrentUserId(), e.target.checked);
+    } catch (error) {
+        console.error('Error updating message requests setting:', error);
+        alert('Failed to update setting. Please try again.');
+        e.target.checked = !e.target.checked;
+    }
+}
+
+async function loadNotifications() {
+    try {
+        // Set up real-time listener for notifications
+        const unsubscribe = listenToUserNotifications((notifications) => {
+            renderNotifications(notifications);
+        });
+        
+        // Set up unread count listener
+        const unsubscribeCount = listenToUnreadNotificationsCount((count) => {
+            updateNotificationCount(count);
+        });
+        
+        unsubscribeFunctions.push(unsubscribe, unsubscribeCount);
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+    }
+}
+
+// Rendering functions
+function appendFeedPosts(posts) {
+    const container = document.getElementById('posts-container');
+    
+    posts.forEach(post => {
+        if (feedPostUnsubscribes[post.id]) return;
+        
+        container.appendChild(createFeedPostElement(post));
+    });
+}
+
+function prependFeedPost(post) {
+    if (feedPostUnsubscribes[post.id]) return;
+    
+    const container = document.getElementById('posts-container');
+    container.insertBefore(createFeedPostElement(post), container.firstChild);
+}
+
+// Create a post element that keeps its counts in sync with the database
+function createFeedPostElement(post) {
+    const postElement = createPostElement(post);
+    
+    feedPostUnsubscribes[post.id] = listenToPost(post.id, (updatedPost) => {
+        if (!updatedPost) {
+            feedPostUnsubscribes[post.id]?.();
+            delete feedPostUnsubscribes[post.id];
+            postElement.remove();
+            return;
+        }
+        
+        updatePostElement(postElement, updatedPost);
+    });
+    
+    return postElement;
+}
+
+function updatePostElement(postElement, post) {
+    postElement.querySelector('.comment-btn span').textContent = post.commentsCount || 0;
+    renderPostReactions(postElement, post);
+    
+    // Re-render the content only after an edit, so likes and comments don't reload the image
+    if (String(post.editedAt || 0) !== postElement.dataset.editedAt) {
+        postElement.dataset.editedAt = post.editedAt || 0;
+        postElement.querySelector('.post-content').innerHTML = createPostContentHTML(post);
+        postElement.querySelector('.post-edited').classList.toggle('hidden', !post.editedAt);
+        observePostVideo(postElement);
+    }
+}
+
+function renderFriendRequests(requests) {
+    const container = document.getElementById('friend-requests-list');
+    container.innerHTML = '';
+    
+    if (requests.length === 0) {
+        container.innerHTML = '<p class="text-secondary">No friend requests</p>';
+        return;
+    }
+    
+    requests.forEach(request => {
+        const requestElement = createFriendRequestElement(request);
+        container.appendChild(requestElement);
+    });
+}
+
+function renderFriendsList(friends) {
+    const container = document.getElementById('friends-list');
+    container.innerHTML = '';
+    
+    if (friends.length === 0) {
+        container.innerHTML = '<p class="text-secondary">No friends yet</p>';
+        return;
+    }
+    
+    friends.forEach(friend => {
+        const friendElement = createFriendElement(friend);
+        container.appendChild(friendElement);
+    });
+}
+
+// Chats arrive sorted (pinned first, then newest). Message requests get a collapsible section
+// at the top and archived chats one at the end.
+function renderChatList(chats) {
+    chatList = chats;
+    
+    const container = document.getElementById('chat-list');
+    container.innerHTML = '';
+    
+    if (chats.length === 0) {
+        container.innerHTML = '<p class="text-secondary">No chats yet</p>';
+        return;
+    }
+    
+    const requestChats = chats.filter(chat => chat.isMessageRequest);
+    const activeChats = chats.filter(chat => !chat.isMessageRequest && !chat.archived);
+    const archivedChats = chats.filter(chat => !chat.isMessageRequest && chat.archived);
+    
+    if (requestChats.length > 0) {
+        container.appendChild(createChatSectionToggle('fa-envelope', 'Message requests', requestChats, showMessageRequests, () => {
+            showMessageRequests = !showMessageRequests;
+        }));
+        
+        if (showMessageRequests) {
+            requestChats.forEach(chat => {
+                container.appendChild(createChatListElement(chat));
+            });
+        }
+    }
+    
+    activeChats.forEach(chat => {
+        const chatElement = createChatListElement(chat);
+        container.appendChild(chatElement);
+    });
+    
+    if (archivedChats.length > 0) {
+        container.appendChild(createChatSectionToggle('fa-box-archive', 'Archived', archivedChats, showArchivedChats, () => {
+            showArchivedChats = !showArchivedChats;
+        }));
+        
+        if (showArchivedChats) {
+            archivedChats.forEach(chat => {
+                container.appendChild(createChatListElement(chat));
+            });
+        }
+    }
+}
+
+// Header that expands or collapses a section of the chat list
+function createChatSectionToggle(icon, label, chats, expanded, onToggle) {
+    const unreadChats = chats.filter(chat => chat.unreadCount > 0).length;
+    
+    const toggle = document.createElement('button');
+    toggle.className = 'chat-section-toggle';
+    toggle.innerHTML = `
+        <i class="fas ${icon}"></i>
+        <span>${label} (${chats.length})</span>
+        ${unreadChats > 0 ? `<span class="chat-section-unread">${unreadChats} unread</span>` : ''}
+        <i class="fas fa-chevron-${expanded ? 'up' : 'down'}"></i>
+    `;
+    toggle.addEventListener('click', () => {
+        onToggle();
+        renderChatList(chatList);
+    });
+    
+    return toggle;
+}
+
+function renderNotifications(notifications) {
+    const container = document.getElementById('notifications-list');
+    container.innerHTML = '';
+    
+    if (notifications.length === 0) {
+        container.innerHTML = '<p class="text-secondary">No notifications</p>';
+        return;
+    }
+    
+    notifications.forEach(notification => {
+        const notificationElement = createNotificationElement(notification);
+        container.appendChild(notificationElement);
+    });
+}
+
+// Element creation functions
+function createPostElement(post) {
+    const audience = describePostAudience(getPostAudience(post));
+    const div = document.createElement('div');
+    div.className = 'post-card';
+    div.dataset.postId = post.id;
+    div.dataset.createdAt = post.createdAt || 0;
+    div.dataset.editedAt = post.editedAt || 0;
+    div.innerHTML = `
+        <div class="post-header">
+            <img src="${post.authorPhoto || '/images/default-avatar.png'}" alt="${post.authorName}">
+            <div class="post-user-info">
+                <h4>${post.authorName}</h4>
+                <div class="post-timestamp">
+                    ${formatTimeAgo(post.createdAt)} ·
+                    <i class="fas ${audience.icon} post-audience-icon" title="${audience.label}"></i>
+                    <button class="post-edited${post.editedAt ? '' : ' hidden'}" title="See edit history">· Edited</button>
+                </div>
+            </div>
+            ${post.authorId === getCurrentUserId() ? '<button class="post-edit-btn" title="Edit post"><i class="fas fa-pen"></i></button>' : ''}
+        </div>
+        <div class="post-content">${createPostContentHTML(post)}</div>
+        <button class="post-reaction-summary hidden" title="See who reacted"></button>
+        <div class="post-actions">
+            <button class="post-action-btn like-btn" data-post-id="${post.id}"></button>
+            <button class="post-action-btn comment-btn" data-post-id="${post.id}">
+                <i class="fas fa-comment"></i>
+                <span>${post.commentsCount || 0}</span>
+            </button>
+        </div>
+    `;
+    
+    renderPostReactions(div, post);
+    
+    // Add event listeners
+    attachReactionLongPress(div, post.id);
+    div.querySelector('.post-reaction-summary').addEventListener('click', () => showPostReactionsModal(post.id));
+    div.querySelector('.post-edit-btn')?.addEventListener('click', () => showEditPostModal(post.id));
+    div.querySelector('.post-edited').addEventListener('click', () => showPostHistoryPopover(div, post.id));
+    observePostVideo(div);
+    div.querySelector('.post-content').addEventListener('click', (e) => {
+        const image = e.target.closest('[data-image-index]');
+        if (image) {
+            openPostLightbox(post.id, Number(image.dataset.imageIndex));
+        }
+    });
+    
+    return div;
+}
+
+function createPostContentHTML(post) {
+    const images = getPostImages(post);
+    const previews = images.slice(0, GALLERY_PREVIEW_COUNT);
+    const hiddenCount = images.length - previews.length;
+    
+    return `
+        ${post.content ? `<div class="post-text">${escapeHTML(post.content)}</div>` : ''}
+        ${post.video ? `
+            <video class="post-video" src="${escapeHTML(getStorageURL(post.video.url))}" poster="${escapeHTML(getStorageURL(post.video.poster?.url))}"
+                muted loop playsinline controls preload="metadata"></video>
+        ` : ''}
+        ${images.length === 1 ? `<img src="${images[0].url}" alt="Post image" class="post-image" data-image-index="0">` : ''}
+        ${images.length > 1 ? `
+            <div class="post-gallery post-gallery-${previews.length}">
+                ${previews.map((image, index) => `
+                    <div class="post-gallery-item" data-image-index="${index}">
+                        <img src="${image.url}" alt="Post image ${index + 1}">
+                        ${index === previews.length - 1 && hiddenCount > 0 ? `<span class="post-gallery-more">+${hiddenCount}</span>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
+    `;
+}
+
+// Like button (showing the current user's reaction) and the summary of everyone's reactions
+function renderPostReactions(postElement, post) {
+    const reactions = getPostReactions(post);
+    const myReaction = POST_REACTIONS.find(reaction => reaction.type === reactions.mine);
+    
+    const likeBtn = postElement.querySelector('.like-btn');
+    likeBtn.classList.toggle('liked', Boolean(myReaction));
+    likeBtn.dataset.reaction = myReaction?.type || '';
+    likeBtn.innerHTML = myReaction
+        ? `<span class="post-reaction-emoji">${myReaction.emoji}</span><span>${myReaction.label}</span>`
+        : '<i class="far fa-thumbs-up"></i><span>Like</span>';
+    
+    renderPostReactionSummary(postElement, reactions);
+}
+
+// Top reaction types and "You, Ana and 12 others"; the name of one other person is looked up
+async function renderPostReactionSummary(postElement, reactions) {
+    const summary = postElement.querySelector('.post-reaction-summary');
+    summary.classList.toggle('hidden', reactions.total === 0);
+    if (reactions.total === 0) return;
+    
+    const renderId = String(Number(summary.dataset.renderId || 0) + 1);
+    summary.dataset.renderId = renderId;
+    
+    const currentUserId = getCurrentUserId();
+    const otherUserId = reactions.byType
+        .flatMap(reaction => reaction.userIds)
+        .find(userId => userId !== currentUserId);
+    
+    const emojis = reactions.byType
+        .slice(0, 3)
+        .map(reaction => `<span title="${reaction.label}: ${reaction.count}">${reaction.emoji}</span>`)
+        .join('');
+    const render = (names) => {
+        summary.innerHTML = `<span class="post-reaction-emojis">${emojis}</span><span>${formatReactionNames(names.map(escapeHTML), reactions.total)}</span>`;
+    };
+    
+    const names = reactions.mine ? ['You'] : [];
+    render(names);
+    
+    if (!otherUserId) return;
+    
+    try {
+        if (!reactorNames.has(otherUserId)) {
+            const profile = await getUserProfile(otherUserId);
+            reactorNames.set(otherUserId, profile?.displayName || null);
+        }
+        
+        // A newer render (the reactions changed meanwhile) takes over
+        if (summary.dataset.renderId !== renderId || !reactorNames.get(otherUserId)) return;
+        
+        render([...names, reactorNames.get(otherUserId)]);
+    } catch (error) {
+        console.error('Error loading reaction names:', error);
+    }
+}
+
+function formatReactionNames(names, total) {
+    const others = total - names.length;
+    
+    if (names.length === 0) {
+        return String(total);
+    }
+    
+    if (others > 0) {
+        return `${names.join(', ')} and ${others} ${others === 1 ? 'other' : 'others'}`;
+    }
+    
+    return names.length === 1 ? names[0] : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+// A click likes (or takes back the reaction); holding the button opens the reaction picker
+function attachReactionLongPress(postElement, postId) {
+    const likeBtn = postElement.querySelector('.like-btn');
+    let pressTimer = null;
+    let longPressed = false;
+    
+    likeBtn.addEventListener('pointerdown', () => {
+        longPressed = false;
+        pressTimer = setTimeout(() => {
+            longPressed = true;
+            openPostReactionPicker(postElement, postId);
+        }, REACTION_LONG_PRESS_DELAY);
+    });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+        likeBtn.addEventListener(type, () => clearTimeout(pressTimer));
+    });
+    
+    // Touch browsers open a context menu on long-press
+    likeBtn.addEventListener('contextmenu', (e) => e.preventDefault());
+    
+    likeBtn.addEventListener('click', (e) => {
+        if (longPressed) {
+            // The click ending the long-press must not close the picker it opened
+            e.stopPropagation();
+            longPressed = false;
+            return;
+        }
+        
+        handlePostLike(postId);
+    });
+}
+
+function openPostReactionPicker(postElement, postId) {
+    closeReactionPicker();
+    
+    const myReaction = postElement.querySelector('.like-btn').dataset.reaction;
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker post-reaction-picker';
+    picker.innerHTML = POST_REACTIONS
+        .map(reaction => `<button class="reaction-option${reaction.type === myReaction ? ' selected' : ''}" data-reaction="${reaction.type}" title="${reaction.label}">${reaction.emoji}</button>`)
+        .join('');
+    
+    picker.querySelectorAll('.reaction-option').forEach(option => {
+        option.addEventListener('click', () => {
+            closeReactionPicker();
+            handlePostReaction(postId, option.dataset.reaction);
+        });
+    });
+    
+    postElement.querySelector('.post-actions').appendChild(picker);
+}
+
+async function handlePostReaction(postId, reactionType) {
+    try {
+        await togglePostReaction(postId, reactionType);
+    } catch (error) {
+        console.error('Error reacting to post:', error);
+        alert(error.message || 'Failed to react to post');
+    }
+}
+
+// Who reacted to a post, with a tab per reaction type
+async function showPostReactionsModal(postId) {
+    try {
+        const list = document.getElementById('post-reactions-list');
+        list.innerHTML = '<p class="text-secondary">Loading...</p>';
+        document.getElementById('post-reactions-tabs').innerHTML = '';
+        document.getElementById('post-reactions-modal').classList.remove('hidden');
+        
+        const people = await getPostLikes(postId);
+        const tabs = [{ type: null, label: `All ${people.length}` }];
+        POST_REACTIONS.forEach(reaction => {
+            const count = people.filter(person => person.reaction === reaction.type).length;
+            if (count > 0) {
+                tabs.push({ type: reaction.type, label: `${reaction.emoji} ${count}` });
+            }
+        });
+        
+        const tabsContainer = document.getElementById('post-reactions-tabs');
+        tabs.forEach((tab, index) => {
+            const button = document.createElement('button');
+            button.className = `post-reactions-tab${index === 0 ? ' active' : ''}`;
+            button.textContent = tab.label;
+            button.addEventListener('click', () => {
+                tabsContainer.querySelectorAll('.post-reactions-tab').forEach(item => item.classList.remove('active'));
+                button.classList.add('active');
+                renderPostReactionsList(people, tab.type);
+            });
+            tabsContainer.appendChild(button);
+        });
+        
+        renderPostReactionsList(people, null);
+    } catch (error) {
+        console.error('Error showing post reactions:', error);
+    }
+}
+
+function renderPostReactionsList(people, reactionType) {
+    const list = document.getElementById('post-reactions-list');
+    const currentUserId = getCurrentUserId();
+    list.innerHTML = '';
+    
+    const shown = people.filter(person => !reactionType || person.reaction === reactionType);
+    if (shown.length === 0) {
+        list.innerHTML = '<p class="text-secondary">No reactions yet</p>';
+        return;
+    }
+    
+    shown.forEach(person => {
+        const reaction = POST_REACTIONS.find(item => item.type === person.reaction);
+        const div = document.createElement('div');
+        div.className = 'group-member-item';
+        div.innerHTML = `
+            <div class="friend-info">
+                <img src="${escapeHTML(person.photoURL || '/images/default-avatar.png')}" alt="${escapeHTML(person.displayName)}">
+                <div class="friend-details">
+                    <h5>${escapeHTML(person.displayName)}${person.uid === currentUserId ? ' (You)' : ''}</h5>
+                    <div class="friend-username">@${escapeHTML(person.username || 'No username')}</div>
+                </div>
+            </div>
+            <span class="post-reaction-emoji" title="${reaction?.label || ''}">${reaction?.emoji || ''}</span>
+        `;
+        list.appendChild(div);
+    });
+}
+
+// Autoplay a post's video (muted, so browsers allow it) while at least half of it is visible
+function observePostVideo(postElement) {
+    const video = postElement.querySelector('.post-video');
+    if (!video || typeof IntersectionObserver === 'undefined') return;
+    
+    if (!postVideoObserver) {
+        postVideoObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.play().catch(() => {});
+                } else {
+                    entry.target.pause();
+                }
+            });
+        }, { threshold: 0.5 });
+    }
+    
+    postVideoObserver.observe(video);
+}
+
+// The lightbox reads the stored post, so it always shows the current images
+async function openPostLightbox(postId, index) {
+    try {
+        const post = await getPostById(postId);
+        const images = post ? getPostImages(post) : [];
+        if (images.length === 0) return;
+        
+        lightboxImages = images;
+        showLightboxImage(Math.min(index, images.length - 1));
+        document.getElementById('image-lightbox').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error opening image:', error);
+    }
+}
+
+function showLightboxImage(index) {
+    if (index < 0 || index >= lightboxImages.length) return;
+    
+    lightboxIndex = index;
+    document.getElementById('lightbox-image').src = lightboxImages[index].url;
+    document.getElementById('lightbox-counter').textContent = lightboxImages.length > 1 ? `${index + 1} / ${lightboxImages.length}` : '';
+    document.getElementById('lightbox-prev').classList.toggle('hidden', index === 0);
+    document.getElementById('lightbox-next').classList.toggle('hidden', index === lightboxImages.length - 1);
+}
+
+function closeImageLightbox() {
+    document.getElementById('image-lightbox').classList.add('hidden');
+    document.getElementById('lightbox-image').src = '';
+    lightboxImages = [];
+}
+
+// A horizontal swipe of more than 50px moves to the neighbouring image
+function handleLightboxSwipe(e) {
+    if (lightboxPointerX === null) return;
+    
+    const distance = e.clientX - lightboxPointerX;
+    lightboxPointerX = null;
+    
+    if (Math.abs(distance) > 50) {
+        showLightboxImage(distance < 0 ? lightboxIndex + 1 : lightboxIndex - 1);
+    }
+}
+
+function handleLightboxKeydown(e) {
+    if (document.getElementById('image-lightbox').classList.contains('hidden')) return;
+    
+    if (e.key === 'ArrowLeft') {
+        showLightboxImage(lightboxIndex - 1);
+    } else if (e.key === 'ArrowRight') {
+        showLightboxImage(lightboxIndex + 1);
+    } else if (e.key === 'Escape') {
+        closeImageLightbox();
+    }
+}
+
+function createFriendRequestElement(request) {
+    const div = document.createElement('div');
+    div.className = 'friend-request-item';
+    div.innerHTML = `
+        <div class="friend-info">
+            <img src="${request.photoURL || '/images/default-avatar.png'}" alt="${request.displayName}">
+            <div class="friend-details">
+                <h5>${request.displayName}</h5>
+                <div class="friend-username">@${request.username || 'No username'}</div>
+            </div>
+        </div>
+        <div class="friend-actions">
+            <button class="friend-action-btn accept-btn" data-user-id="${request.fromUserId}">Accept</button>
+            <button class="friend-action-btn reject-btn" data-user-id="${request.fromUserId}">Reject</button>
+        </div>
+    `;
+    
+    // Add event listeners
+    div.querySelector('.accept-btn').addEventListener('click', () => handleAcceptFriendRequest(request.fromUserId));
+    div.querySelector('.reject-btn').addEventListener('click', () => handleRejectFriendRequest(request.fromUserId));
+    
+    return div;
+}
+
+function createFriendElement(friend) {
+    const div = document.createElement('div');
+    div.className = 'friend-item';
+    div.innerHTML = `
+        <div class="friend-info">
+            <img src="${friend.photoURL || '/images/default-avatar.png'}" alt="${friend.displayName}">
+            <div class="friend-details">
+                <h5>${friend.displayName}</h5>
+                <div class="friend-username">@${friend.username || 'No username'}</div>
+                <div class="friend-status">
+                    <span class="status-indicator"></span>
+                    <span>Offline</span>
+                </div>
+            </div>
+        </div>
+        <div class="friend-actions">
+            <button class="friend-action-btn chat-btn" data-user-id="${friend.uid}">Chat</button>
+        </div>
+    `;
+    
+    // Add event listeners
+    div.querySelector('.chat-btn').addEventListener('click', () => openChat(friend));
+    
+    return div;
+}
+
+function createChatListElement(chat) {
+    const muted = isChatMuted(chat);
+    
+    const div = document.createElement('div');
+    div.className = `chat-list-item${muted ? ' muted' : ''}`;
+    div.innerHTML = `
+        <img src="${chat.photoURL || '/images/default-avatar.png'}" alt="${escapeHTML(chat.name)}">
+        <div class="chat-item-info">
+            <h5>${chat.type === CHAT_TYPES.GROUP ? '<i class="fas fa-users"></i> ' : ''}${escapeHTML(chat.name)}</h5>
+            <div class="chat-last-message">${escapeHTML(chat.lastMessage || 'No messages yet')}</div>
+        </div>
+        <div class="chat-item-meta">
+            ${chat.pinned ? '<i class="fas fa-thumbtack" title="Pinned"></i>' : ''}
+            ${muted ? '<i class="fas fa-bell-slash" title="Muted"></i>' : ''}
+            ${chat.unreadCount > 0 ? `<div class="unread-badge">${chat.unreadCount}</div>` : ''}
+        </div>
+        <button class="chat-item-menu-btn" title="More options"><i class="fas fa-ellipsis-vertical"></i></button>
+    `;
+    
+    div.addEventListener('click', () => openConversation(chat));
+    div.querySelector('.chat-item-menu-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        openChatItemMenu(div, chat);
+    });
+    
+    return div;
+}
+
+// While there is search text, results across all chats replace the chat list
+function handleChatSearchInput() {
+    const searchText = document.getElementById('chat-search-input').value.trim();
+    
+    clearTimeout(chatSearchTimer);
+    chatSearchText = searchText;
+    
+    document.getElementById('chat-search-clear').classList.toggle('hidden', !searchText);
+    document.getElementById('chat-list').classList.toggle('hidden', !!searchText);
+    document.getElementById('chat-search-results').classList.toggle('hidden', !searchText);
+    
+    if (searchText) {
+        chatSearchTimer = setTimeout(() => runChatSearch(searchText), CHAT_SEARCH_DELAY);
+    }
+}
+
+function clearChatSearch() {
+    document.getElementById('chat-search-input').value = '';
+    handleChatSearchInput();
+}
+
+async function runChatSearch(searchText) {
+    const container = document.getElementById('chat-search-results');
+    
+    try {
+        const groups = await searchAllChats(searchText);
+        if (searchText !== chatSearchText) return;
+        
+        renderChatSearchResults(groups, searchText);
+    } catch (error) {
+        console.error('Error searching chats:', error);
+        container.innerHTML = `<p class="text-secondary">${escapeHTML(error.message || 'Search failed')}</p>`;
+    }
+}
+
+// Hits grouped under their chat, with the matching words highlighted
+function renderChatSearchResults(groups, searchText) {
+    const container = document.getElementById('chat-search-results');
+    container.innerHTML = '';
+    
+    // The index may still hold chats that were just left or ignored
+    const visibleGroups = groups.filter(group => chatList.some(chat => chat.chatId === group.chatId));
+    
+    if (visibleGroups.length === 0) {
+        container.innerHTML = '<p class="text-secondary">No messages found</p>';
+        return;
+    }
+    
+    visibleGroups.forEach(group => {
+        const chat = chatList.find(item => item.chatId === group.chatId);
+        
+        const header = document.createElement('div');
+        header.className = 'search-result-chat';
+        header.innerHTML = `
+            <img src="${chat.photoURL || '/images/default-avatar.png'}" alt="${escapeHTML(chat.name)}">
+            <span>${chat.type === CHAT_TYPES.GROUP ? '<i class="fas fa-users"></i> ' : ''}${escapeHTML(chat.name)}</span>
+            <span class="search-result-count">${group.results.length}</span>
+        `;
+        container.appendChild(header);
+        
+        group.results.forEach(result => {
+            const snippet = getSearchSnippet(result.text, searchText)
+                .map(segment => segment.highlighted ? `<mark>${escapeHTML(segment.text)}</mark>` : escapeHTML(segment.text))
+                .join('');
+            
+            const item = document.createElement('button');
+            item.className = 'search-result-item';
+            item.innerHTML = `
+                <div class="search-result-text">${result.senderId === getCurrentUserId() ? 'You: ' : ''}${snippet}</div>
+                <div class="search-result-time">${formatTimeAgo(result.timestamp)}</div>
+            `;
+            item.addEventListener('click', () => openSearchResult(chat, result.messageId));
+            container.appendChild(item);
+        });
+    });
+}
+
+// Open the chat of a search hit and scroll to the message
+async function openSearchResult(chat, messageId) {
+    if (currentChat?.chatId !== chat.chatId) {
+        await openConversation(chat);
+    }
+    
+    if (currentChat?.chatId === chat.chatId) {
+        await jumpToMessage(messageId);
+    }
+}
+
+// Pin / mute / archive menu of a chat list item
+function openChatItemMenu(chatElement, chat) {
+    closeChatItemMenu();
+    
+    const muted = isChatMuted(chat);
+    const menu = document.createElement('div');
+    menu.className = 'chat-item-menu';
+    menu.innerHTML = `
+        ${chat.archived || chat.isMessageRequest ? '' : `<button data-action="pin"><i class="fas fa-thumbtack"></i> ${chat.pinned ? 'Unpin' : 'Pin'}</button>`}
+        ${muted
+            ? '<button data-action="unmute"><i class="fas fa-bell"></i> Unmute</button>'
+            : MUTE_DURATIONS.map(option => `<button data-action="mute" data-duration="${option.duration}"><i class="fas fa-bell-slash"></i> Mute ${option.label}</button>`).join('')}
+        ${chat.isMessageRequest ? '' : `<button data-action="archive"><i class="fas fa-box-archive"></i> ${chat.archived ? 'Unarchive' : 'Archive'}</button>`}
+    `;
+    
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    menu.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', () => {
+            closeChatItemMenu();
+            handleChatItemAction(chat, button.dataset.action, Number(button.dataset.duration));
+        });
+    });
+    
+    chatElement.appendChild(menu);
+}
+
+function closeChatItemMenu() {
+    document.querySelector('.chat-item-menu')?.remove();
+}
+
+async function handleChatItemAction(chat, action, duration) {
+    try {
+        if (action === 'pin') {
+            await setChatPinned(chat.chatId, !chat.pinned);
+        } else if (action === 'mute') {
+            await setChatMuted(chat.chatId, duration);
+        } else if (action === 'unmute') {
+            await setChatMuted(chat.chatId, 0);
+        } else if (action === 'archive') {
+            await setChatArchived(chat.chatId, !chat.archived);
+        }
+    } catch (error) {
+        console.error('Error updating chat:', error);
+        alert(error.message || 'Failed to update chat');
+    }
+}
+
+// Browser notification for a new message, unless its chat is open in front of the user
+async function handleNewMessageNotification(chat) {
+    try {
+        if (currentChat?.chatId === chat.chatId && document.visibilityState === 'visible') return;
+        
+        const listItem = chatList.find(item => item.chatId === chat.chatId);
+        let title = listItem?.name;
+        let icon = listItem?.photoURL || null;
+        
+        if (!title && chat.type === CHAT_TYPES.GROUP) {
+            title = chat.name || 'Group';
+        } else if (!title) {
+            const profile = await getUserProfile(chat.otherUserId);
+            title = profile?.displayName || 'New message';
+            icon = profile?.photoURL || null;
+        }
+        
+        showBrowserNotification(title, chat.lastMessage || 'New message', icon);
+    } catch (error) {
+        console.error('Error showing message notification:', error);
+    }
+}
+
+function createNotificationElement(notification) {
+    const div = document.createElement('div');
+    div.className = `notification-item ${notification.read ? 'read' : 'unread'}`;
+    div.innerHTML = `
+        <div class="notification-icon">
+            <i class="${getNotificationIcon(notification.type)}"></i>
+        </div>
+        <div class="notification-content">
+            <div class="notification-message">${formatNotificationMessage(notification)}</div>
+            <div class="notification-time">${formatTimeAgo(notification.createdAt)}</div>
+        </div>
+    `;
+    
+    return div;
+}
+
+// Event handlers
+async function handlePostLike(postId) {
+    try {
+        await togglePostLike(postId);
+    } catch (error) {
+        console.error('Error toggling post like:', error);
+    }
+}
+
+async function handleAcceptFriendRequest(fromUserId) {
+    try {
+        await acceptFriendRequest(fromUserId);
+    } catch (error) {
+        console.error('Error accepting friend request:', error);
+        alert('Failed to accept friend request');
+    }
+}
+
+async function handleRejectFriendRequest(fromUserId) {
+    try {
+        await rejectFriendRequest(fromUserId);
+    } catch (error) {
+        console.error('Error rejecting friend request:', error);
+        alert('Failed to reject friend request');
+    }
+}
+
+async function openChat(user) {
+    try {
+        // Start chat and open it
+        const chatId = await startChatWithFriend(user.uid);
+        
+        await openConversation({
+            chatId,
+            type: CHAT_TYPES.DIRECT,
+            otherUser: user,
+            name: user.displayName,
+            photoURL: user.photoURL
+        });
+    } catch (error) {
+        console.error('Error opening chat:', error);
+        alert('Failed to open chat');
+    }
+}
+
+async function openConversation(chat) {
+    try {
+        // Leave the previous chat's typing, editing, reply and voice state behind
+        stopTyping();
+        cancelEditingMessage();
+        cancelReplyingToMessage();
+        finishVoiceRecording(false);
+        voicePlayer.pause();
+        
+        currentChat = { ...chat, members: {} };
+        
+        // Update chat UI
+        document.getElementById('chat-placeholder').classList.add('hidden');
+        document.getElementById('chat-window').classList.remove('hidden');
+        
+        // Update chat header
+        document.getElementById('chat-friend-avatar').src = chat.photoURL || '/images/default-avatar.png';
+        document.getElementById('chat-friend-name').textContent = chat.name;
+        document.getElementById('chat-info-btn').classList.toggle('hidden', chat.type !== CHAT_TYPES.GROUP);
+        document.getElementById('chat-encryption-btn').classList.toggle('hidden', chat.type === CHAT_TYPES.GROUP);
+        document.getElementById('audio-call-btn').classList.toggle('hidden', chat.type === CHAT_TYPES.GROUP);
+        document.getElementById('video-call-btn').classList.toggle('hidden', chat.type === CHAT_TYPES.GROUP);
+        
+        // Follow the direct chat's encryption setting
+        if (unsubscribeEncryption) {
+            unsubscribeEncryption();
+            unsubscribeEncryption = null;
+        }
+        renderEncryptionState(false);
+        if (chat.type !== CHAT_TYPES.GROUP) {
+            unsubscribeEncryption = listenToChatEncryption(chat.chatId, renderEncryptionState);
+        }
+        
+        // Between non-friends the input only shows once a message request is accepted
+        if (unsubscribeMessageRequest) {
+            unsubscribeMessageRequest();
+            unsubscribeMessageRequest = null;
+        }
+        renderMessageRequestState(null);
+        if (chat.type !== CHAT_TYPES.GROUP) {
+            unsubscribeMessageRequest = listenToMessageRequest(chat.chatId, renderMessageRequestState);
+        }
+        
+        // Follow the disappearing message timer; expired messages are purged in the background
+        if (unsubscribeDisappearing) {
+            unsubscribeDisappearing();
+        }
+        renderDisappearingState(0);
+        unsubscribeDisappearing = listenToDisappearingMessages(chat.chatId, renderDisappearingState);
+        purgeExpiredMessages(chat.chatId).catch(() => {});
+        
+        if (chat.type === CHAT_TYPES.GROUP) {
+            await refreshGroupMembers();
+        } else {
+            document.getElementById('chat-friend-status').textContent = 'Online'; // TODO: Update with real presence
+        }
+        
+        // Load the newest page, then follow changes from its oldest message onwards
+        stopListeningToChatMessages();
+        const page = await getMessagesPage(chat.chatId, null, CHAT_PAGE_SIZE);
+        
+        // Another chat was opened while this page loaded
+        if (currentChat?.chatId !== chat.chatId) return;
+        
+        oldestMessageKey = page.oldestKey;
+        chatHasMore = page.hasMore;
+        chatPinnedToBottom = true;
+        renderChatMessages(page.messages);
+        
+        chatMessageUnsubscribes.push(listenToChatMessages(chat.chatId, { startKey: oldestMessageKey }, {
+            onAdded: handleMessageAdded,
+            onChanged: handleMessageChanged,
+            onRemoved: handleMessageRemoved
+        }));
+        
+        // Show who is typing
+        if (unsubscribeTyping) {
+            unsubscribeTyping();
+        }
+        renderTypingIndicator([]);
+        unsubscribeTyping = listenToTypingStatus(chat.chatId, renderTypingIndicator);
+        
+        // Show delivery and read ticks
+        if (unsubscribeReceipts) {
+            unsubscribeReceipts();
+        }
+        currentReceipts = {};
+        unsubscribeReceipts = listenToChatReceipts(chat.chatId, (receipts) => {
+            currentReceipts = receipts;
+            updateMessageReceipts();
+        });
+        
+        // Mark messages as read
+        await markMessagesAsRead(chat.chatId);
+        
+        // Switch to chat tab
+        switchTab('chat');
+    } catch (error) {
+        console.error('Error opening chat:', error);
+        alert('Failed to open chat');
+    }
+}
+
+// End-to-end encryption
+function renderEncryptionState(encrypted) {
+    currentChatEncrypted = encrypted;
+    
+    const button = document.getElementById('chat-encryption-btn');
+    button.classList.toggle('active', encrypted);
+    button.title = encrypted ? 'End-to-end encrypted' : 'Encryption off';
+    button.innerHTML = `<i class="fas ${encrypted ? 'fa-lock' : 'fa-lock-open'}"></i>`;
+    
+    document.getElementById('chat-input').placeholder = encrypted ? 'Encrypted message...' : 'Type a message...';
+    
+    if (!document.getElementById('encryption-modal').classList.contains('hidden')) {
+        renderEncryptionInfo();
+    }
+}
+
+// Show the accept / ignore / block bar (incoming request) or a waiting note (sent request) instead of the input
+async function renderMessageRequestState(request) {
+    const chat = currentChat;
+    const currentUserId = getCurrentUserId();
+    let incoming = false;
+    let outgoing = false;
+    
+    if (chat && request && request.status !== MESSAGE_REQUEST_STATUS.ACCEPTED) {
+        const isFriend = await areFriends(currentUserId, chat.otherUser.uid);
+        if (chat !== currentChat) return;
+        
+        incoming = !isFriend && request.to === currentUserId;
+        outgoing = !isFriend && request.from === currentUserId;
+    }
+    
+    const pending = request?.status === MESSAGE_REQUEST_STATUS.PENDING;
+    let text = '';
+    if (incoming) {
+        text = pending
+            ? `${chat.name} isn't your friend and wants to message you. They won't know you've read the message unless you accept.`
+            : 'You ignored this message request.';
+    } else if (outgoing) {
+        text = `Message request sent. You can send more messages once ${chat.name} accepts.`;
+    }
+    
+    document.getElementById('message-request-text').textContent = text;
+    document.getElementById('message-request-actions').classList.toggle('hidden', !(incoming && pending));
+    document.getElementById('message-request-bar').classList.toggle('hidden', !incoming && !outgoing);
+    document.querySelector('.chat-input-container').classList.toggle('hidden', incoming || outgoing);
+}
+
+function showMessageRequestModal() {
+    document.getElementById('message-request-modal').classList.remove('hidden');
+    document.getElementById('message-request-username-input').focus();
+}
+
+async function handleSendMessageRequest() {
+    const btn = document.getElementById('send-message-request-btn');
+    
+    try {
+        const usernameInput = document.getElementById('message-request-username-input');
+        const textInput = document.getElementById('message-request-text-input');
+        const username = usernameInput.value.trim().replace(/^@/, '');
+        
+        if (!username || !textInput.value.trim()) {
+            alert('Please enter a username and a message');
+            return;
+        }
+        
+        btn.disabled = true;
+        btn.textContent = 'Sending...';
+        
+        await sendMessageRequest(username, textInput.value);
+        
+        usernameInput.value = '';
+        textInput.value = '';
+        document.getElementById('message-request-modal').classList.add('hidden');
+    } catch (error) {
+        console.error('Error sending message request:', error);
+        alert(error.message || 'Failed to send message');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Send';
+    }
+}
+
+async function handleAcceptMessageRequest() {
+    try {
+        if (!currentChat) return;
+        
+        await acceptMessageRequest(currentChat.chatId);
+    } catch (error) {
+        console.error('Error accepting message request:', error);
+        alert(error.message || 'Failed to accept message request');
+    }
+}
+
+// Ignore (or block) the open message request; it leaves the chat list, so the conversation closes
+async function handleDeclineMessageRequest(block) {
+    try {
+        if (!currentChat) return;
+        
+        const question = block
+            ? `Block ${currentChat.name}? They won't be able to send you messages or message requests.`
+            : `Ignore this message request? ${currentChat.name} won't be told.`;
+        if (!confirm(question)) return;
+        
+        if (block) {
+            await blockMessageRequest(currentChat.chatId);
+        } else {
+            await ignoreMessageRequest(currentChat.chatId);
+        }
+        
+        closeConversation();
+    } catch (error) {
+        console.error('Error declining message request:', error);
+        alert(error.message || 'Failed to update message request');
+    }
+}
+
+function renderDisappearingState(duration) {
+    currentChatDisappearing = duration;
+    
+    const option = DISAPPEARING_MESSAGE_OPTIONS.find(item => item.duration === duration);
+    const button = document.getElementById('chat-disappearing-btn');
+    button.classList.toggle('active', duration > 0);
+    button.title = duration > 0 ? `Disappearing messages: ${option?.label}` : 'Disappearing messages off';
+    
+    document.querySelectorAll('#disappearing-options .disappearing-option').forEach(optionButton => {
+        optionButton.classList.toggle('selected', Number(optionButton.dataset.duration) === duration);
+    });
+}
+
+function showDisappearingModal() {
+    if (!currentChat) return;
+    
+    const optionsContainer = document.getElementById('disappearing-options');
+    optionsContainer.innerHTML = DISAPPEARING_MESSAGE_OPTIONS.map(option => `
+        <button class="disappearing-option${option.duration === currentChatDisappearing ? ' selected' : ''}" data-duration="${option.duration}">
+            ${option.label}
+            <i class="fas fa-check"></i>
+        </button>
+    `).join('');
+    
+    optionsContainer.querySelectorAll('.disappearing-option').forEach(optionButton => {
+        optionButton.addEventListener('click', () => handleSetDisappearing(Number(optionButton.dataset.duration)));
+    });
+    
+    document.getElementById('disappearing-modal').classList.remove('hidden');
+}
+
+async function handleSetDisappearing(duration) {
+    try {
+        if (!currentChat) return;
+        
+        await setDisappearingMessages(currentChat.chatId, duration);
+        document.getElementById('disappearing-modal').classList.add('hidden');
+    } catch (error) {
+        console.error('Error setting disappearing messages:', error);
+        alert(error.message || 'Failed to update disappearing messages');
+    }
+}
+
+// Statistics are computed from the whole history, so the panel shows progress while it loads
+async function showChatInsightsModal() {
+    if (!currentChat) return;
+    
+    const chatId = currentChat.chatId;
+    const content = document.getElementById('insights-content');
+    content.innerHTML = '<p class="text-secondary">Reading the conversation...</p>';
+    document.getElementById('insights-modal').classList.remove('hidden');
+    
+    const stats = await getChatStatistics(chatId, (count) => {
+        if (currentChat?.chatId === chatId) {
+            content.innerHTML = `<p class="text-secondary">Read ${count} messages...</p>`;
+        }
+    });
+    
+    if (currentChat?.chatId !== chatId) return;
+    
+    if (!stats) {
+        content.innerHTML = '<p class="text-secondary">Failed to load insights. Please try again.</p>';
+        return;
+    }
+    
+    if (stats.totalMessages === 0) {
+        content.innerHTML = '<p class="text-secondary">No messages yet</p>';
+        return;
+    }
+    
+    content.innerHTML = createInsightsHTML(stats);
+}
+
+function createInsightsHTML(stats) {
+    const days = stats.messagesPerDay.slice(-INSIGHTS_CHART_DAYS);
+    const busiestDay = Math.max(...days.map(day => day.count), 1);
+    const busiestHour = Math.max(...stats.busiestHours.flat(), 1);
+    const participants = Object.entries(stats.participants).sort((a, b) => b[1].messages - a[1].messages);
+    
+    const createChips = (entries, key) => entries.length > 0
+        ? entries.map(entry => `<span class="insights-chip">${escapeHTML(entry[key])} <small>${entry.count}</small></span>`).join('')
+        : '<span class="text-secondary">Nothing yet</span>';
+    
+    return `
+        <div class="insights-summary">
+            <div><strong>${stats.totalMessages}</strong><span>messages</span></div>
+            <div><strong>${stats.messagesSent}</strong><span>sent</span></div>
+            <div><strong>${stats.messagesReceived}</strong><span>received</span></div>
+            <div><strong>${stats.conversations}</strong><span>conversations</span></div>
+        </div>
+        <p class="insights-since">Since ${new Date(stats.firstMessageDate).toLocaleDateString()}</p>
+        
+        <h4>Messages per day</h4>
+        <div class="insights-chart">
+            ${days.map(day => `<div class="insights-bar" style="height: ${(day.count / busiestDay) * 100}%" title="${day.date}: ${day.count} messages"></div>`).join('')}
+        </div>
+        <div class="insights-chart-range"><span>${days[0].date}</span><span>${days[days.length - 1].date}</span></div>
+        
+        <h4>Who texts first</h4>
+        ${participants.map(([uid, participant]) => {
+            const share = Math.round((participant.conversationsStarted / stats.conversations) * 100);
+            return `
+                <div class="insights-row">
+                    <span class="insights-name">${escapeHTML(getChatMemberName(uid))}</span>
+                    <div class="insights-share"><div style="width: ${share}%"></div></div>
+                    <span class="insights-value">${share}%</span>
+                </div>
+            `;
+        }).join('')}
+        
+        <h4>Average reply time</h4>
+        ${participants.map(([uid, participant]) => `
+            <div class="insights-row">
+                <span class="insights-name">${escapeHTML(getChatMemberName(uid))}</span>
+                <span class="insights-value">${participant.averageReplyTime === null ? '—' : formatReplyTime(participant.averageReplyTime)}</span>
+            </div>
+        `).join('')}
+        
+        <h4>Busiest hours</h4>
+        <div class="insights-heatmap">
+            ${stats.busiestHours.map((hours, day) => `
+                <span class="insights-heatmap-day">${WEEKDAY_NAMES[day]}</span>
+                ${hours.map((count, hour) => `<div class="insights-heatmap-cell" style="opacity: ${0.08 + (count / busiestHour) * 0.92}" title="${WEEKDAY_NAMES[day]} ${hour}:00 · ${count} messages"></div>`).join('')}
+            `).join('')}
+        </div>
+        <div class="insights-heatmap-hours"><span>12am</span><span>6am</span><span>12pm</span><span>6pm</span></div>
+        
+        <h4>Most used words</h4>
+        <div class="insights-chips">${createChips(stats.topWords, 'word')}</div>
+        
+        <h4>Most used emojis</h4>
+        <div class="insights-chips">${createChips(stats.topEmojis, 'emoji')}</div>
+    `;
+}
+
+// "under a minute", "12 min", "3 h 5 min"
+function formatReplyTime(milliseconds) {
+    const minutes = Math.round(milliseconds / 60000);
+    if (minutes < 1) return 'under a minute';
+    if (minutes < 60) return `${minutes} min`;
+    
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+function showExportChatModal() {
+    if (!currentChat) return;
+    
+    const optionsContainer = document.getElementById('export-chat-options');
+    optionsContainer.innerHTML = EXPORT_FORMATS.map(option => `
+        <button class="export-chat-option" data-format="${option.format}">
+            <span class="export-chat-option-label">${option.label}</span>
+            <span class="export-chat-option-description">${option.description}</span>
+        </button>
+    `).join('');
+    
+    optionsContainer.querySelectorAll('.export-chat-option').forEach(optionButton => {
+        optionButton.addEventListener('click', () => handleExportChat(optionButton.dataset.format));
+    });
+    
+    document.getElementById('export-chat-progress').classList.add('hidden');
+    document.getElementById('export-chat-modal').classList.remove('hidden');
+}
+
+// Fetching the whole history can take a while, so the modal shows how many messages are in so far
+async function handleExportChat(format) {
+    const optionButtons = document.querySelectorAll('.export-chat-option');
+    const progress = document.getElementById('export-chat-progress');
+    
+    try {
+        if (!currentChat) return;
+        
+        optionButtons.forEach(optionButton => {
+            optionButton.disabled = true;
+        });
+        progress.textContent = 'Preparing export...';
+        progress.classList.remove('hidden');
+        
+        await exportChat(currentChat.chatId, format, (count) => {
+            progress.textContent = `Fetched ${count} messages...`;
+        });
+        
+        document.getElementById('export-chat-modal').classList.add('hidden');
+    } catch (error) {
+        console.error('Error exporting chat:', error);
+        alert(error.message || 'Failed to export chat');
+    } finally {
+        optionButtons.forEach(optionButton => {
+            optionButton.disabled = false;
+        });
+        progress.classList.add('hidden');
+    }
+}
+
+async function showEncryptionModal() {
+    try {
+        if (!currentChat || currentChat.type === CHAT_TYPES.GROUP) return;
+        
+        document.getElementById('encryption-modal').classList.remove('hidden');
+        await renderEncryptionInfo();
+    } catch (error) {
+        console.error('Error showing encryption info:', error);
+    }
+}
+
+async function renderEncryptionInfo() {
+    const name = currentChat.name;
+    
+    document.getElementById('encryption-status-text').textContent = currentChatEncrypted
+        ? `Text messages with ${name} are end-to-end encrypted. Only the two of you can read them. Photos, files and voice messages are not encrypted.`
+        : `Messages with ${name} are not end-to-end encrypted. Turning encryption on encrypts text and captions only, not photos, files or voice messages.`;
+    document.getElementById('toggle-encryption-btn').textContent = currentChatEncrypted
+        ? 'Turn Off Encryption'
+        : 'Turn On Encryption';
+    document.getElementById('toggle-encryption-btn').classList.toggle('danger-btn', currentChatEncrypted);
+    
+    const safetyNumberElement = document.getElementById('safety-number');
+    const verifyButton = document.getElementById('verify-contact-btn');
+    
+    try {
+        const safetyInfo = await getChatSafetyInfo(currentChat.chatId);
+        
+        safetyNumberElement.classList.toggle('unavailable', !safetyInfo.safetyNumber);
+        
+        if (!safetyInfo.safetyNumber) {
+            safetyNumberElement.textContent = `${name} has not set up encryption yet.`;
+            verifyButton.classList.add('hidden');
+            return;
+        }
+        
+        safetyNumberElement.innerHTML = safetyInfo.safetyNumber
+            .split(' ')
+            .map(group => `<span>${group}</span>`)
+            .join('');
+        verifyButton.classList.remove('hidden');
+        verifyButton.dataset.verified = safetyInfo.verified;
+        verifyButton.innerHTML = safetyInfo.verified
+            ? '<i class="fas fa-check-circle"></i> Verified · Clear Verification'
+            : 'Mark as Verified';
+    } catch (error) {
+        safetyNumberElement.classList.add('unavailable');
+        safetyNumberElement.textContent = error.message || 'Safety number unavailable';
+        verifyButton.classList.add('hidden');
+    }
+}
+
+async function handleToggleEncryption() {
+    try {
+        if (!currentChat) return;
+        
+        if (currentChatEncrypted && !confirm('Turn off end-to-end encryption for new messages?')) return;
+        
+        await setChatEncryption(currentChat.chatId, !currentChatEncrypted);
+    } catch (error) {
+        console.error('Error toggling encryption:', error);
+        alert(error.message || 'Failed to update encryption');
+    }
+}
+
+async function handleToggleContactVerified() {
+    try {
+        if (!currentChat) return;
+        
+        const verified = document.getElementById('verify-contact-btn').dataset.verified === 'true';
+        await setChatContactVerified(currentChat.chatId, !verified);
+        await renderEncryptionInfo();
+    } catch (error) {
+        console.error('Error updating verification:', error);
+        alert(error.message || 'Failed to update verification');
+    }
+}
+
+// Calls
+async function handleStartCall(type) {
+    try {
+        if (!currentChat || currentChat.type === CHAT_TYPES.GROUP) return;
+        
+        showCallScreen(currentChat.otherUser, type, 'Calling…');
+        await startCall(currentChat.chatId, currentChat.otherUser.uid, type, getCallHandlers());
+    } catch (error) {
+        console.error('Error starting call:', error);
+        hideCallScreen();
+        alert(error.message || 'Failed to start call');
+    }
+}
+
+// Media and state callbacks shared by outgoing and answered calls
+function getCallHandlers() {
+    return {
+        onLocalStream: (stream) => {
+            document.getElementById('local-video').srcObject = stream;
+        },
+        onRemoteStream: (stream) => {
+            document.getElementById('remote-video').srcObject = stream;
+        },
+        onStatusChange: (status) => {
+            if (status === CALL_STATUS.RINGING) {
+                setCallStatusText('Ringing…');
+            } else if (status === CALL_STATUS.ACCEPTED && !callTimerInterval) {
+                setCallStatusText('Connecting…');
+            }
+        },
+        onConnected: startCallTimer,
+        onEnded: (status) => {
+            const endedText = {
+                [CALL_STATUS.DECLINED]: 'Call declined',
+                [CALL_STATUS.MISSED]: 'No answer',
+                [CALL_STATUS.CANCELLED]: 'Call cancelled'
+            };
+            
+            setCallStatusText(endedText[status] || 'Call ended');
+            stopCallTimer();
+            setTimeout(hideCallScreen, 1500);
+        }
+    };
+}
+
+function showCallScreen(peer, type, statusText) {
+    const screen = document.getElementById('call-screen');
+    screen.classList.toggle('video-call', type === CALL_TYPES.VIDEO);
+    
+    document.getElementById('call-peer-avatar').src = peer?.photoURL || '/images/default-avatar.png';
+    document.getElementById('call-peer-name').textContent = peer?.displayName || 'Unknown';
+    document.getElementById('toggle-camera-btn').classList.toggle('hidden', type !== CALL_TYPES.VIDEO);
+    document.getElementById('toggle-mic-btn').classList.remove('off');
+    document.getElementById('toggle-camera-btn').classList.remove('off');
+    setCallStatusText(statusText);
+    
+    screen.classList.remove('hidden');
+}
+
+function hideCallScreen() {
+    // A new call may have started in the meantime
+    if (isInCall()) return;
+    
+    document.getElementById('call-screen').classList.add('hidden');
+    document.getElementById('local-video').srcObject = null;
+    document.getElementById('remote-video').srcObject = null;
+    stopCallTimer();
+}
+
+function setCallStatusText(text) {
+    document.getElementById('call-status-text').textContent = text;
+}
+
+function startCallTimer() {
+    stopCallTimer();
+    
+    const startedAt = Date.now();
+    const renderDuration = () => {
+        const seconds = Math.floor((Date.now() - startedAt) / 1000);
+        setCallStatusText(`${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+    };
+    
+    renderDuration();
+    callTimerInterval = setInterval(renderDuration, 1000);
+}
+
+function stopCallTimer() {
+    clearInterval(callTimerInterval);
+    callTimerInterval = null;
+}
+
+async function handleHangUp() {
+    try {
+        await endCall();
+    } catch (error) {
+        console.error('Error hanging up:', error);
+        hideCallScreen();
+    }
+}
+
+function handleToggleMicrophone() {
+    const enabled = toggleMicrophone();
+    const button = document.getElementById('toggle-mic-btn');
+    button.classList.toggle('off', !enabled);
+    button.title = enabled ? 'Mute' : 'Unmute';
+    button.innerHTML = `<i class="fas ${enabled ? 'fa-microphone' : 'fa-microphone-slash'}"></i>`;
+}
+
+function handleToggleCamera() {
+    const enabled = toggleCamera();
+    const button = document.getElementById('toggle-camera-btn');
+    button.classList.toggle('off', !enabled);
+    button.title = enabled ? 'Turn camera off' : 'Turn camera on';
+    button.innerHTML = `<i class="fas ${enabled ? 'fa-video' : 'fa-video-slash'}"></i>`;
+}
+
+function showIncomingCall(call) {
+    // Busy: only one call at a time
+    if (isInCall() || incomingCall) {
+        declineCall(call.callId).catch(error => console.error('Error declining call:', error));
+        return;
+    }
+    
+    incomingCall = call;
+    
+    document.getElementById('incoming-call-avatar').src = call.caller.photoURL || '/images/default-avatar.png';
+    document.getElementById('incoming-call-name').textContent = call.caller.displayName;
+    document.getElementById('incoming-call-type').textContent = call.type === CALL_TYPES.VIDEO
+        ? 'Incoming video call…'
+        : 'Incoming voice call…';
+    document.getElementById('incoming-call-modal').classList.remove('hidden');
+    
+    startRingtone();
+}
+
+function hideIncomingCall() {
+    incomingCall = null;
+    stopRingtone();
+    document.getElementById('incoming-call-modal').classList.add('hidden');
+}
+
+// The caller hung up, the call timed out or it was answered
+function handleIncomingCallCancelled(callId) {
+    if (incomingCall?.callId === callId) {
+        hideIncomingCall();
+    }
+}
+
+async function handleAcceptCall() {
+    const call = incomingCall;
+    if (!call) return;
+    
+    hideIncomingCall();
+    
+    try {
+        showCallScreen(call.caller, call.type, 'Connecting…');
+        await answerCall(call.callId, getCallHandlers());
+    } catch (error) {
+        console.error('Error answering call:', error);
+        hideCallScreen();
+        alert(error.message || 'Failed to answer call');
+    }
+}
+
+async function handleDeclineCall() {
+    const call = incomingCall;
+    if (!call) return;
+    
+    hideIncomingCall();
+    
+    try {
+        await declineCall(call.callId);
+    } catch (error) {
+        console.error('Error declining call:', error);
+    }
+}
+
+// Two-tone ring generated with Web Audio, repeated every two seconds
+function startRingtone() {
+    stopRingtone();
+    
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    
+    const audioContext = new AudioContextClass();
+    const ring = () => {
+        [440, 480].forEach(frequency => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            
+            oscillator.frequency.value = frequency;
+            gain.gain.value = 0.05;
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start();
+            oscillator.stop(audioContext.currentTime + 1);
+        });
+    };
+    
+    ring();
+    ringtone = { audioContext, interval: setInterval(ring, 2000) };
+}
+
+function stopRingtone() {
+    if (!ringtone) return;
+    
+    clearInterval(ringtone.interval);
+    ringtone.audioContext.close();
+    ringtone = null;
+}
+
+// Reload the open group's members (used for sender names and the info panel)
+async function refreshGroupMembers() {
+    const members = await getChatMembers(currentChat.chatId);
+    
+    currentChat.members = {};
+    members.forEach(member => {
+        currentChat.members[member.uid] = member;
+    });
+    
+    document.getElementById('chat-friend-status').textContent = `${members.length} members`;
+    
+    return members;
+}
+
+// Render the newest page of the open chat; later messages are inserted incrementally
+function renderChatMessages(messages) {
+    const container = document.getElementById('chat-messages');
+    container.innerHTML = '';
+    currentMessages = messages;
+    
+    messages.forEach(message => {
+        const messageElement = createMessageElement(message);
+        container.appendChild(messageElement);
+    });
+    
+    appendPendingUploads();
+    renderOutboxMessages();
+    
+    // Scroll to bottom
+    container.scrollTop = container.scrollHeight;
+}
+
+function stopListeningToChatMessages() {
+    chatMessageUnsubscribes.forEach(unsubscribe => unsubscribe());
+    chatMessageUnsubscribes = [];
+}
+
+// Insert a message in key order (push keys sort chronologically); new messages land at the bottom
+function handleMessageAdded(message) {
+    const existing = currentMessages.find(m => m.id === message.id);
+    if (existing) {
+        // Already rendered from a page; only refresh it if it changed in between
+        if (JSON.stringify(existing) !== JSON.stringify(message)) {
+            handleMessageChanged(message);
+        }
+        return;
+    }
+    
+    const container = document.getElementById('chat-messages');
+    const element = createMessageElement(message);
+    const nextIndex = currentMessages.findIndex(m => m.id > message.id);
+    
+    if (nextIndex === -1) {
+        currentMessages.push(message);
+        container.insertBefore(element, container.querySelector('.message.outbox, .message.uploading'));
+    } else {
+        const nextElement = container.querySelector(`.message[data-message-id="${currentMessages[nextIndex].id}"]`);
+        currentMessages.splice(nextIndex, 0, message);
+        container.insertBefore(element, nextElement);
+    }
+    
+    const isOwnMessage = message.senderId === getCurrentUserId();
+    if (isOwnMessage) {
+        // Replaces the message's outbox bubble, if any
+        renderOutboxMessages();
+    } else {
+        updateMessageReceipts();
+    }
+    
+    if (chatPinnedToBottom || isOwnMessage) {
+        container.scrollTop = container.scrollHeight;
+    }
+    
+    // Messages arriving while the chat is on screen are read right away
+    if (!isOwnMessage && document.visibilityState === 'visible') {
+        markMessagesAsRead(currentChat.chatId);
+    }
+}
+
+function handleMessageChanged(message) {
+    const index = currentMessages.findIndex(m => m.id === message.id);
+    if (index === -1) return;
+    
+    currentMessages[index] = message;
+    document.querySelector(`.message[data-message-id="${message.id}"]`)
+        ?.replaceWith(createMessageElement(message));
+    
+    // Edits and unsends don't move the chat's last message; the open chat's index entry is updated
+    // right away, and search re-checks its hits in other chats against the database
+    updateSearchIndex(currentChat.chatId, message);
+    
+    updateMessageReceipts();
+}
+
+function handleMessageRemoved(messageId) {
+    currentMessages = currentMessages.filter(m => m.id !== messageId);
+    document.querySelector(`.message[data-message-id="${messageId}"]`)?.remove();
+    removeFromSearchIndex(currentChat.chatId, messageId);
+    
+    // A rejected send is rolled back locally; its outbox bubble takes its place again
+    renderOutboxMessages();
+}
+
+function handleChatMessagesScroll() {
+    const container = document.getElementById('chat-messages');
+    chatPinnedToBottom = container.scrollHeight - container.scrollTop - container.clientHeight < CHAT_SCROLL_THRESHOLD;
+    
+    if (container.scrollTop < CHAT_SCROLL_THRESHOLD && chatHasMore && !olderMessagesRequest) {
+        loadOlderMessages();
+    }
+}
+
+// Load the next older page; callers arriving while a page is loading share that request.
+// Resolves to whether a page was added.
+function loadOlderMessages() {
+    if (!olderMessagesRequest) {
+        olderMessagesRequest = fetchOlderMessages().finally(() => {
+            olderMessagesRequest = null;
+        });
+    }
+    return olderMessagesRequest;
+}
+
+// Prepend the page before the oldest loaded message without moving what is on screen
+async function fetchOlderMessages() {
+    if (!currentChat || !oldestMessageKey) return false;
+    
+    const chatId = currentChat.chatId;
+    const endKey = oldestMessageKey;
+    const container = document.getElementById('chat-messages');
+    
+    const loader = document.createElement('div');
+    loader.className = 'chat-messages-loader';
+    loader.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+    container.prepend(loader);
+    
+    try {
+        const page = await getMessagesPage(chatId, endKey, CHAT_PAGE_SIZE);
+        loader.remove();
+        
+        if (currentChat?.chatId !== chatId) return false;
+        
+        const previousHeight = container.scrollHeight;
+        const previousTop = container.scrollTop;
+        
+        const fragment = document.createDocumentFragment();
+        page.messages.forEach(message => {
+            fragment.appendChild(createMessageElement(message));
+        });
+        container.prepend(fragment);
+        
+        // Offset by the height added above the viewport
+        container.scrollTop = previousTop + (container.scrollHeight - previousHeight);
+        
+        currentMessages = [...page.messages, ...currentMessages];
+        oldestMessageKey = page.oldestKey || endKey;
+        chatHasMore = page.hasMore;
+        updateMessageReceipts();
+        
+        // Follow edits and deletions in the older range too
+        if (page.oldestKey) {
+            chatMessageUnsubscribes.push(listenToChatMessages(chatId, { startKey: page.oldestKey, endKey }, {
+                onAdded: handleMessageAdded,
+                onChanged: handleMessageChanged,
+                onRemoved: handleMessageRemoved
+            }));
+        }
+        
+        return true;
+    } catch (error) {
+        console.error('Error loading older messages:', error);
+        return false;
+    } finally {
+        loader.remove();
+    }
+}
+
+// Scroll to a quoted message and flash it, paging back through history until it is loaded
+async function jumpToMessage(messageId) {
+    const chatId = currentChat?.chatId;
+    const findElement = () => document.querySelector(`.message[data-message-id="${messageId}"]`);
+    
+    let element = findElement();
+    while (!element && chatHasMore && messageId < oldestMessageKey) {
+        if (!(await loadOlderMessages()) || currentChat?.chatId !== chatId) return;
+        element = findElement();
+    }
+    
+    if (!element) {
+        alert('This message is no longer available');
+        return;
+    }
+    
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    
+    // Restart the animation if the message is still highlighted from a previous jump
+    element.classList.remove('highlighted');
+    void element.offsetWidth;
+    element.classList.add('highlighted');
+    setTimeout(() => element.classList.remove('highlighted'), 2000);
+}
+
+// Refresh the ticks on the current user's messages
+function updateMessageReceipts() {
+    if (!currentChat) return;
+    
+    const recipientIds = currentChat.type === CHAT_TYPES.GROUP
+        ? Object.keys(currentChat.members).filter(uid => uid !== getCurrentUserId())
+        : [currentChat.otherUser.uid];
+    
+    const receipts = getMessageReceipts(currentMessages, currentReceipts, recipientIds);
+    const queuedIds = getOutboxMessages(currentChat.chatId).map(entry => entry.id);
+    
+    Object.keys(receipts).forEach(messageId => {
+        const statusElement = document.querySelector(`.message[data-message-id="${messageId}"] .message-status`);
+        if (!statusElement) return;
+        
+        // Shown locally but not confirmed by the database yet
+        if (queuedIds.includes(messageId)) {
+            statusElement.className = 'message-status sending';
+            statusElement.title = 'Sending...';
+            statusElement.innerHTML = '<i class="far fa-clock"></i>';
+            return;
+        }
+        
+        const receipt = receipts[messageId];
+        const details = [`Sent ${formatReceiptTime(receipt.sentAt)}`];
+        if (receipt.deliveredAt) details.push(`Delivered ${formatReceiptTime(receipt.deliveredAt)}`);
+        if (receipt.readAt) details.push(`Read ${formatReceiptTime(receipt.readAt)}`);
+        
+        statusElement.className = `message-status ${receipt.status}`;
+        statusElement.title = details.join('\n');
+        statusElement.innerHTML = receipt.status === MESSAGE_STATUS.SENT
+            ? '<i class="fas fa-check"></i>'
+            : '<i class="fas fa-check-double"></i>';
+    });
+}
+
+// User-written text (messages, names) is escaped before it goes into innerHTML
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Media URLs other users store are only used if they point at Firebase Storage (the rules check this too)
+const STORAGE_URL_PREFIX = 'https://firebasestorage.googleapis.com/';
+
+function getStorageURL(url) {
+    return typeof url === 'string' && url.startsWith(STORAGE_URL_PREFIX) ? url : '';
+}
+
+function formatReceiptTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function createMessageElement(message) {
+    const div = document.createElement('div');
+    div.dataset.messageId = message.id;
+    
+    if (message.type === MESSAGE_TYPES.SYSTEM) {
+        div.className = 'message system';
+        div.innerHTML = `<div class="message-system-text">${escapeHTML(message.text)}</div>`;
+        return div;
+    }
+    
+    const isSent = message.senderId === getCurrentUserId();
+    const showSender = !isSent && currentChat?.type === CHAT_TYPES.GROUP;
+    const senderName = escapeHTML(currentChat?.members[message.senderId]?.displayName || 'Former member');
+    
+    div.className = `message ${isSent ? 'sent' : 'received'}${message.deleted ? ' deleted' : ''}`;
+    
+    if (message.deleted) {
+        div.innerHTML = `
+            <div class="message-content">
+                ${showSender ? `<div class="message-sender">${senderName}</div>` : ''}
+                <div class="message-text"><i class="fas fa-ban"></i> This message was deleted</div>
+                <div class="message-time">${formatTimeAgo(message.timestamp || Date.now())}</div>
+            </div>
+        `;
+        return div;
+    }
+    
+    if (message.decryptionFailed) {
+        div.classList.add('undecryptable');
+        div.innerHTML = `
+            <div class="message-content">
+                ${showSender ? `<div class="message-sender">${senderName}</div>` : ''}
+                <div class="message-text"><i class="fas fa-lock"></i> This message can't be decrypted in this browser</div>
+                <div class="message-time">${formatTimeAgo(message.timestamp || Date.now())}</div>
+            </div>
+        `;
+        return div;
+    }
+    
+    const actionsHTML = `
+        <div class="message-actions">
+            <button class="message-action-btn react-message-btn" title="React"><i class="far fa-smile"></i></button>
+            <button class="message-action-btn reply-message-btn" title="Reply"><i class="fas fa-reply"></i></button>
+            ${isSent && !message.type ? '<button class="message-action-btn edit-message-btn" title="Edit"><i class="fas fa-pen"></i></button>' : ''}
+            ${isSent ? '<button class="message-action-btn unsend-message-btn" title="Unsend"><i class="fas fa-trash"></i></button>' : ''}
+        </div>
+    `;
+    
+    div.innerHTML = `
+        ${isSent ? actionsHTML : ''}
+        <div class="message-content">
+            ${showSender ? `<div class="message-sender">${senderName}</div>` : ''}
+            ${message.replyTo ? createQuoteHTML(message.replyTo) : ''}
+            ${message.type === MESSAGE_TYPES.VOICE ? createVoiceHTML(message) : message.attachment ? createAttachmentHTML(message) : ''}
+            ${message.type === MESSAGE_TYPES.CALL ? `<div class="message-call ${message.call?.status || ''}">${formatCallSummary(message.call)}</div>` : ''}
+            ${message.text ? `<div class="message-text">${escapeHTML(message.text)}</div>` : ''}
+            <div class="message-time">
+                ${formatTimeAgo(message.timestamp || Date.now())}
+                ${message.editedAt ? `<span class="message-edited" title="${formatEditHistory(message)}">edited</span>` : ''}
+                ${message.expiresAt ? `<i class="fas fa-stopwatch message-expiry" title="Disappears ${new Date(message.expiresAt).toLocaleString()}"></i>` : ''}
+                ${isSent ? '<span class="message-status"></span>' : ''}
+            </div>
+            ${createReactionsHTML(message)}
+        </div>
+        ${isSent ? '' : actionsHTML}
+    `;
+    
+    div.querySelector('.edit-message-btn')?.addEventListener('click', () => startEditingMessage(message));
+    div.querySelector('.unsend-message-btn')?.addEventListener('click', () => handleUnsendMessage(message));
+    div.querySelector('.react-message-btn').addEventListener('click', () => openReactionPicker(div, message));
+    div.querySelector('.reply-message-btn').addEventListener('click', () => startReplyingToMessage(message));
+    div.querySelector('.message-quote')?.addEventListener('click', () => jumpToMessage(message.replyTo.messageId));
+    
+    const voiceElement = div.querySelector('.message-voice');
+    if (voiceElement) {
+        voiceElement.querySelector('.voice-play-btn').addEventListener('click', () => toggleVoicePlayback(message));
+        voiceElement.querySelector('.voice-waveform').addEventListener('click', (e) => {
+            const rect = e.currentTarget.getBoundingClientRect();
+            seekVoiceMessage(message, (e.clientX - rect.left) / rect.width);
+        });
+        renderVoicePlayer(voiceElement, message);
+    }
+    div.querySelectorAll('.reaction-chip').forEach(chip => {
+        chip.addEventListener('click', () => handleReaction(message, chip.dataset.emoji));
+    });
+    
+    // Long-press opens the picker on touch screens
+    let longPressTimer = null;
+    const content = div.querySelector('.message-content');
+    content.addEventListener('touchstart', () => {
+        longPressTimer = setTimeout(() => openReactionPicker(div, message), 500);
+    }, { passive: true });
+    ['touchend', 'touchmove', 'touchcancel'].forEach(eventName => {
+        content.addEventListener(eventName, () => clearTimeout(longPressTimer));
+    });
+    
+    // Thumbnails change the list height once loaded
+    div.querySelector('.message-image')?.addEventListener('load', () => {
+        if (!chatPinnedToBottom) return;
+        
+        const container = document.getElementById('chat-messages');
+        container.scrollTop = container.scrollHeight;
+    });
+    
+    return div;
+}
+
+// Quoted message above a reply; clicking it jumps to the original
+function createQuoteHTML(replyTo) {
+    return `
+        <button class="message-quote" title="Go to original message">
+            <span class="message-quote-sender">${escapeHTML(getChatMemberName(replyTo.senderId))}</span>
+            <span class="message-quote-text">${escapeHTML(replyTo.snippet || '')}</span>
+        </button>
+    `;
+}
+
+// Reaction chips under a message bubble: emoji, count and who reacted
+function createReactionsHTML(message) {
+    const summary = getReactionSummary(message.reactions);
+    if (summary.length === 0) return '';
+    
+    const chips = summary.map(reaction => {
+        const names = escapeHTML(reaction.userIds.map(getChatMemberName).join(', '));
+        const emoji = escapeHTML(reaction.emoji);
+        return `
+            <button class="reaction-chip${reaction.reactedByMe ? ' mine' : ''}" data-emoji="${emoji}" title="${names}">
+                ${emoji}${reaction.count > 1 ? ` <span>${reaction.count}</span>` : ''}
+            </button>
+        `;
+    }).join('');
+    
+    return `<div class="message-reactions">${chips}</div>`;
+}
+
+function getChatMemberName(uid) {
+    if (uid === getCurrentUserId()) return 'You';
+    if (currentChat?.type === CHAT_TYPES.GROUP) return currentChat.members[uid]?.displayName || 'Former member';
+    return currentChat?.otherUser?.displayName || 'Someone';
+}
+
+function openReactionPicker(messageElement, message) {
+    closeReactionPicker();
+    
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker';
+    picker.innerHTML = REACTION_EMOJIS
+        .map(emoji => `<button class="reaction-option${message.reactions?.[getCurrentUserId()] === emoji ? ' selected' : ''}" data-emoji="${emoji}">${emoji}</button>`)
+        .join('');
+    
+    picker.querySelectorAll('.reaction-option').forEach(option => {
+        option.addEventListener('click', () => {
+            closeReactionPicker();
+            handleReaction(message, option.dataset.emoji);
+        });
+    });
+    
+    messageElement.appendChild(picker);
+}
+
+function closeReactionPicker() {
+    document.querySelectorAll('.reaction-picker').forEach(picker => picker.remove());
+}
+
+async function handleReaction(message, emoji) {
+    try {
+        if (!currentChat) return;
+        
+        await toggleMessageReaction(currentChat.chatId, message.id, emoji);
+    } catch (error) {
+        console.error('Error reacting to message:', error);
+        alert(error.message || 'Failed to react to message');
+    }
+}
+
+// Image thumbnail or file card for a message attachment
+function createAttachmentHTML(message) {
+    const attachment = message.attachment;
+    const url = escapeHTML(getStorageURL(attachment.url));
+    const name = escapeHTML(attachment.name);
+    
+    if (message.type === MESSAGE_TYPES.IMAGE) {
+        return `
+            <a href="${url}" target="_blank" rel="noopener">
+                <img class="message-image" src="${url}" alt="${name}" loading="lazy">
+            </a>
+        `;
+    }
+    
+    return `
+        <a class="message-file" href="${url}" target="_blank" rel="noopener" download="${name}">
+            <i class="fas ${getFileIcon(attachment.contentType)}"></i>
+            <div class="message-file-info">
+                <div class="message-file-name">${name}</div>
+                <div class="message-file-size">${formatFileSize(attachment.size || 0)}</div>
+            </div>
+        </a>
+    `;
+}
+
+// Play/pause button, waveform bars and duration of a voice message
+function createVoiceHTML(message) {
+    const peaks = Object.values(message.voice?.peaks || {});
+    const bars = (peaks.length > 0 ? peaks : new Array(WAVEFORM_PEAK_COUNT).fill(20))
+        .map(peak => `<span class="voice-bar" style="height: ${Math.max(peak, 8)}%"></span>`)
+        .join('');
+    
+    return `
+        <div class="message-voice">
+            <button class="voice-play-btn" title="Play"><i class="fas fa-play"></i></button>
+            <div class="voice-waveform">${bars}</div>
+            <span class="voice-duration">${formatDuration(message.voice?.duration)}</span>
+        </div>
+    `;
+}
+
+function toggleVoicePlayback(message) {
+    if (voicePlayerMessage?.id !== message.id) {
+        loadVoiceMessage(message);
+    } else if (!voicePlayer.paused) {
+        voicePlayer.pause();
+        return;
+    }
+    
+    voicePlayer.play().catch(error => {
+        console.error('Error playing voice message:', error);
+    });
+}
+
+// Jump to a position (0-1) of a voice message, playing or not
+function seekVoiceMessage(message, fraction) {
+    if (voicePlayerMessage?.id !== message.id) {
+        loadVoiceMessage(message);
+    }
+    
+    // Recorded files often lack a duration header, so seek by the stored duration
+    voicePlayer.currentTime = Math.min(Math.max(fraction, 0), 1) * (message.voice?.duration || 0);
+    renderVoicePlayer();
+}
+
+// Point the shared player at another voice message and reset the previous one's bubble
+function loadVoiceMessage(message) {
+    const previous = voicePlayerMessage;
+    
+    voicePlayer.pause();
+    voicePlayerMessage = message;
+    voicePlayer.src = getStorageURL(message.attachment.url);
+    
+    if (previous) {
+        renderVoicePlayer(findVoiceElement(previous.id), previous);
+    }
+}
+
+function findVoiceElement(messageId) {
+    return document.querySelector(`.message[data-message-id="${messageId}"] .message-voice`);
+}
+
+// Sync a voice bubble with the shared player: icon, played bars and elapsed/total time
+function renderVoicePlayer(element = voicePlayerMessage && findVoiceElement(voicePlayerMessage.id), message = voicePlayerMessage) {
+    if (!element || !message) return;
+    
+    const isCurrent = voicePlayerMessage?.id === message.id;
+    const duration = message.voice?.duration || 0;
+    const position = isCurrent ? voicePlayer.currentTime : 0;
+    const playing = isCurrent && !voicePlayer.paused;
+    
+    const bars = element.querySelectorAll('.voice-bar');
+    const playedBars = duration ? Math.round(Math.min(position / duration, 1) * bars.length) : 0;
+    bars.forEach((bar, index) => bar.classList.toggle('played', index < playedBars));
+    
+    const playButton = element.querySelector('.voice-play-btn');
+    playButton.innerHTML = `<i class="fas ${playing ? 'fa-pause' : 'fa-play'}"></i>`;
+    playButton.title = playing ? 'Pause' : 'Play';
+    
+    element.querySelector('.voice-duration').textContent = formatDuration(position > 0 ? position : duration);
+}
+
+function getFileIcon(contentType = '') {
+    if (contentType.startsWith('image/')) return 'fa-file-image';
+    if (contentType.startsWith('audio/')) return 'fa-file-audio';
+    if (contentType === 'application/pdf') return 'fa-file-pdf';
+    if (contentType.includes('word')) return 'fa-file-word';
+    if (contentType.includes('sheet') || contentType.includes('excel') || contentType === 'text/csv') return 'fa-file-excel';
+    if (contentType.includes('presentation') || contentType.includes('powerpoint')) return 'fa-file-powerpoint';
+    if (contentType === 'application/zip') return 'fa-file-zipper';
+    if (contentType.startsWith('text/')) return 'fa-file-lines';
+    return 'fa-file';
+}
+
+// Tooltip listing a message's earlier versions, oldest first
+function formatEditHistory(message) {
+    const versions = Object.values(message.editHistory || {})
+        .sort((a, b) => (a.editedAt || 0) - (b.editedAt || 0))
+        .map(version => `${formatReceiptTime(version.editedAt)}: ${version.text}`);
+    
+    return escapeHTML(['Edit history:', ...versions].join('\n'));
+}
+
+// Group chats
+async function showCreateGroupModal() {
+    try {
+        document.getElementById('group-name-input').value = '';
+        document.getElementById('group-avatar-input').value = '';
+        
+        const friends = await getFriendsList();
+        renderMemberPicker(document.getElementById('group-member-picker'), friends);
+        
+        document.getElementById('create-group-modal').classList.remove('hidden');
+        document.getElementById('group-name-input').focus();
+    } catch (error) {
+        console.error('Error showing create group modal:', error);
+    }
+}
+
+function renderMemberPicker(container, users, selectedIds = []) {
+    container.innerHTML = '';
+    
+    if (users.length === 0) {
+        container.innerHTML = '<p class="text-secondary">No friends to add</p>';
+        return;
+    }
+    
+    users.forEach(user => {
+        const label = document.createElement('label');
+        label.className = 'member-picker-item';
+        label.innerHTML = `
+            <input type="checkbox" value="${user.uid}"${selectedIds.includes(user.uid) ? ' checked' : ''}>
+            <img src="${escapeHTML(user.photoURL || '/images/default-avatar.png')}" alt="${escapeHTML(user.displayName)}">
+            <span>${escapeHTML(user.displayName)}</span>
+        `;
+        container.appendChild(label);
+    });
+}
+
+function getPickedMemberIds(container) {
+    return Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+}
+
+async function handleCreateGroup() {
+    const btn = document.getElementById('create-group-btn');
+    
+    try {
+        const name = document.getElementById('group-name-input').value.trim();
+        const avatarFile = document.getElementById('group-avatar-input').files[0] || null;
+        const memberIds = getPickedMemberIds(document.getElementById('group-member-picker'));
+        
+        if (!name) {
+            alert('Please enter a group name');
+            return;
+        }
+        
+        if (memberIds.length < 2) {
+            alert('Please select at least two friends');
+            return;
+        }
+        
+        btn.disabled = true;
+        btn.textContent = 'Creating...';
+        
+        const chatId = await createGroupChat(name, memberIds, avatarFile);
+        document.getElementById('create-group-modal').classList.add('hidden');
+        
+        await openConversation({
+            chatId,
+            type: CHAT_TYPES.GROUP,
+            name: name,
+            photoURL: null
+        });
+    } catch (error) {
+        console.error('Error creating group:', error);
+        alert(error.message || 'Failed to create group');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Create Group';
+    }
+}
+
+async function showGroupInfoModal() {
+    try {
+        if (currentChat?.type !== CHAT_TYPES.GROUP) return;
+        
+        await renderGroupInfo();
+        document.getElementById('group-info-modal').classList.remove('hidden');
+    } catch (error) {
+        console.error('Error showing group info:', error);
+    }
+}
+
+async function renderGroupInfo() {
+    const members = await refreshGroupMembers();
+    const currentUserId = getCurrentUserId();
+    const isAdmin = currentChat.members[currentUserId]?.isAdmin === true;
+    
+    document.getElementById('group-info-name').textContent = currentChat.name;
+    
+    const list = document.getElementById('group-members-list');
+    list.innerHTML = '';
+    
+    members.forEach(member => {
+        const div = document.createElement('div');
+        div.className = 'group-member-item';
+        div.innerHTML = `
+            <div class="friend-info">
+                <img src="${escapeHTML(member.photoURL || '/images/default-avatar.png')}" alt="${escapeHTML(member.displayName)}">
+                <div class="friend-details">
+                    <h5>${escapeHTML(member.displayName)}${member.uid === currentUserId ? ' (You)' : ''}</h5>
+                    <div class="friend-username">${member.isAdmin ? 'Admin' : 'Member'}</div>
+                </div>
+            </div>
+            ${isAdmin && member.uid !== currentUserId ? `
+                <div class="friend-actions">
+                    <button class="friend-action-btn admin-toggle-btn">${member.isAdmin ? 'Dismiss admin' : 'Make admin'}</button>
+                    <button class="friend-action-btn reject-btn remove-member-btn">Remove</button>
+                </div>
+            ` : ''}
+        `;
+        
+        div.querySelector('.admin-toggle-btn')?.addEventListener('click', () => handleToggleGroupAdmin(member));
+        div.querySelector('.remove-member-btn')?.addEventListener('click', () => handleRemoveGroupMember(member));
+        
+        list.appendChild(div);
+    });
+    
+    // Only admins can add members
+    const addSection = document.getElementById('group-add-members-section');
+    addSection.classList.toggle('hidden', !isAdmin);
+    
+    if (isAdmin) {
+        const friends = await getFriendsList();
+        const candidates = friends.filter(friend => !currentChat.members[friend.uid]);
+        renderMemberPicker(document.getElementById('group-add-member-picker'), candidates);
+    }
+}
+
+async function handleAddGroupMembers() {
+    try {
+        const memberIds = getPickedMemberIds(document.getElementById('group-add-member-picker'));
+        if (memberIds.length === 0) return;
+        
+        await addGroupMembers(currentChat.chatId, memberIds);
+        await renderGroupInfo();
+    } catch (error) {
+        console.error('Error adding group members:', error);
+        alert(error.message || 'Failed to add members');
+    }
+}
+
+async function handleRemoveGroupMember(member) {
+    try {
+        if (!confirm(`Remove ${member.displayName} from the group?`)) return;
+        
+        await removeGroupMember(currentChat.chatId, member.uid);
+        await renderGroupInfo();
+    } catch (error) {
+        console.error('Error removing group member:', error);
+        alert(error.message || 'Failed to remove member');
+    }
+}
+
+async function handleToggleGroupAdmin(member) {
+    try {
+        await setGroupAdmin(currentChat.chatId, member.uid, !member.isAdmin);
+        await renderGroupInfo();
+    } catch (error) {
+        console.error('Error updating group admin:', error);
+        alert(error.message || 'Failed to update admin');
+    }
+}
+
+async function handleLeaveGroup() {
+    try {
+        const isLastMember = Object.keys(currentChat.members || {}).length <= 1;
+        if (!confirm(isLastMember
+            ? 'You are the last member. Leaving deletes the group and its messages. Leave anyway?'
+            : 'Leave this group?')) return;
+        
+        stopTyping();
+        await leaveGroup(currentChat.chatId);
+        
+        document.getElementById('group-info-modal').classList.add('hidden');
+        closeConversation();
+    } catch (error) {
+        console.error('Error leaving group:', error);
+        alert(error.message || 'Failed to leave group');
+    }
+}
+
+// Stop following the open chat and go back to the placeholder
+function closeConversation() {
+    stopListeningToChatMessages();
+    [unsubscribeTyping, unsubscribeReceipts, unsubscribeEncryption, unsubscribeDisappearing, unsubscribeMessageRequest]
+        .forEach(unsubscribe => unsubscribe?.());
+    unsubscribeTyping = null;
+    unsubscribeReceipts = null;
+    unsubscribeEncryption = null;
+    unsubscribeDisappearing = null;
+    unsubscribeMessageRequest = null;
+    currentChat = null;
+    
+    document.getElementById('chat-window').classList.add('hidden');
+    document.getElementById('chat-placeholder').classList.remove('hidden');
+}
+
+function updateChatUnreadCount(count) {
+    const badge = document.getElementById('chat-unread-count');
+    if (count > 0) {
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.classList.remove('hidden');
+    } else {
+        badge.classList.add('hidden');
+    }
 }
 
 function updateNotificationCount(count) {
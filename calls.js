@@ -0,0 +1,459 @@
+// Firebase Database imports
+import { 
+    ref, 
+    get, 
+    update, 
+    push, 
+    remove,
+    onValue,
+    onChildAdded,
+    onChildRemoved,
+    onDisconnect,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-database.js';
+
+import { database } from './firebase-config.js';
+import { getCurrentUserId } from './auth.js';
+import { getUserProfile } from './database.js';
+import { areFriends } from './friends.js';
+import { addNotification } from './notifications.js';
+import { addCallHistoryMessage } from './chat.js';
+
+export const CALL_TYPES = {
+    AUDIO: 'audio',
+    VIDEO: 'video'
+};
+
+export const CALL_STATUS = {
+    RINGING: 'ringing',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+    MISSED: 'missed',
+    CANCELLED: 'cancelled',
+    ENDED: 'ended'
+};
+
+// How long a call rings before it counts as missed
+export const CALL_RING_TIMEOUT = 30000;
+
+// Public STUN only (no TURN): calls work on the same machine or network and across most NATs
+const RTC_CONFIGURATION = {
+    iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+};
+
+const FINISHED_STATUSES = [
+    CALL_STATUS.DECLINED,
+    CALL_STATUS.MISSED,
+    CALL_STATUS.CANCELLED,
+    CALL_STATUS.ENDED
+];
+
+// The call this tab is in (only one at a time)
+let activeCall = null;
+
+// Set up the peer connection, local media and ICE candidate publishing for the active call
+async function createPeerConnection(callId, type, candidatesPath, handlers) {
+    const localStream = await navigator.mediaDevices.getUserMedia({
+        audio: true,
+        video: type === CALL_TYPES.VIDEO
+    });
+    
+    const peerConnection = new RTCPeerConnection(RTC_CONFIGURATION);
+    const remoteStream = new MediaStream();
+    
+    localStream.getTracks().forEach(track => peerConnection.addTrack(track, localStream));
+    
+    peerConnection.ontrack = (event) => {
+        event.streams[0].getTracks().forEach(track => remoteStream.addTrack(track));
+    };
+    
+    peerConnection.onicecandidate = (event) => {
+        if (event.candidate) {
+            push(ref(database, `calls/${callId}/${candidatesPath}`), event.candidate.toJSON());
+        }
+    };
+    
+    peerConnection.onconnectionstatechange = () => {
+        if (peerConnection.connectionState === 'connected') {
+            handlers.onConnected?.();
+        } else if (peerConnection.connectionState === 'failed') {
+            endCall();
+        }
+    };
+    
+    handlers.onLocalStream?.(localStream);
+    handlers.onRemoteStream?.(remoteStream);
+    
+    return { peerConnection, localStream };
+}
+
+// Add the other side's ICE candidates as they are published
+function listenToRemoteCandidates(callId, candidatesPath, peerConnection) {
+    const addCandidate = (candidate) => {
+        peerConnection.addIceCandidate(new RTCIceCandidate(candidate))
+            .catch(error => console.error('Error adding ICE candidate:', error));
+    };
+    
+    // Candidates can arrive before the answer is applied; addIceCandidate fails without a remote description
+    let pendingCandidates = [];
+    const flushPendingCandidates = () => {
+        if (!peerConnection.remoteDescription) return;
+        
+        pendingCandidates.forEach(addCandidate);
+        pendingCandidates = [];
+        peerConnection.removeEventListener('signalingstatechange', flushPendingCandidates);
+    };
+    peerConnection.addEventListener('signalingstatechange', flushPendingCandidates);
+    
+    const unsubscribe = onChildAdded(ref(database, `calls/${callId}/${candidatesPath}`), (snapshot) => {
+        if (peerConnection.remoteDescription) {
+            addCandidate(snapshot.val());
+        } else {
+            pendingCandidates.push(snapshot.val());
+        }
+    });
+    
+    return () => {
+        unsubscribe();
+        peerConnection.removeEventListener('signalingstatechange', flushPendingCandidates);
+    };
+}
+
+// Follow the call's status and answer; tear the call down once it is finished
+function listenToCallState(callId, handlers) {
+    return onValue(ref(database, `calls/${callId}`), async (snapshot) => {
+        if (!activeCall || activeCall.callId !== callId) return;
+        
+        const call = snapshot.val();
+        if (!call) return;
+        
+        // Caller: apply the callee's answer once
+        if (activeCall.isCaller && call.answer && !activeCall.peerConnection.currentRemoteDescription) {
+            clearTimeout(activeCall.ringTimeout);
+            await activeCall.peerConnection.setRemoteDescription(new RTCSessionDescription(call.answer));
+        }
+        
+        handlers.onStatusChange?.(call.status, call);
+        
+        if (FINISHED_STATUSES.includes(call.status)) {
+            await finishCall(call);
+        }
+    });
+}
+
+// Release media and listeners; the caller also records the call in the chat
+async function finishCall(call) {
+    if (!activeCall) return;
+    
+    const { callId, isCaller, peerConnection, localStream, unsubscribes, ringTimeout, handlers } = activeCall;
+    activeCall = null;
+    
+    clearTimeout(ringTimeout);
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+    localStream?.getTracks().forEach(track => track.stop());
+    peerConnection?.close();
+    
+    // Nothing left to clean up if the tab closes now
+    onDisconnect(ref(database, `calls/${callId}/status`)).cancel();
+    onDisconnect(ref(database, `incomingCalls/${call.calleeId}/${callId}`)).cancel();
+    
+    if (isCaller) {
+        try {
+            await addCallHistoryMessage(call.chatId, {
+                callId,
+                callType: call.type,
+                status: call.status === CALL_STATUS.ENDED && call.answeredAt ? 'completed' : call.status,
+                duration: call.answeredAt && call.endedAt ? Math.max(0, Math.round((call.endedAt - call.answeredAt) / 1000)) : 0
+            });
+        } catch (error) {
+            console.error('Error adding call history:', error);
+        }
+    }
+    
+    handlers.onEnded?.(call.status, call);
+}
+
+// Mark the ringing call as missed and tell the callee
+async function markCallMissed(callId, calleeId) {
+    try {
+        const snapshot = await get(ref(database, `calls/${callId}/status`));
+        if (snapshot.val() !== CALL_STATUS.RINGING) return;
+        
+        await update(ref(database), {
+            [`calls/${callId}/status`]: CALL_STATUS.MISSED,
+            [`calls/${callId}/endedAt`]: serverTimestamp(),
+            [`incomingCalls/${calleeId}/${callId}`]: null
+        });
+        
+        await notifyMissedCall(callId, calleeId);
+    } catch (error) {
+        console.error('Error marking call as missed:', error);
+    }
+}
+
+async function notifyMissedCall(callId, calleeId) {
+    const currentUserId = getCurrentUserId();
+    const callSnapshot = await get(ref(database, `calls/${callId}`));
+    const call = callSnapshot.val();
+    const callerProfile = await getUserProfile(currentUserId);
+    
+    await addNotification(calleeId, {
+        type: 'missed_call',
+        from: currentUserId,
+        message: `You missed a ${call.type === CALL_TYPES.VIDEO ? 'video' : 'voice'} call from ${callerProfile.displayName}`,
+        timestamp: Date.now(),
+        chatId: call.chatId,
+        callId: callId
+    });
+}
+
+// Start an audio or video call with a friend in a direct chat
+export async function startCall(chatId, calleeId, type, handlers = {}) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        if (activeCall) {
+            throw new Error('You are already in a call');
+        }
+        
+        const isFriend = await areFriends(currentUserId, calleeId);
+        if (!isFriend) {
+            throw new Error('Can only call friends');
+        }
+        
+        const callRef = push(ref(database, 'calls'));
+        const callId = callRef.key;
+        
+        activeCall = { callId, isCaller: true, handlers, unsubscribes: [] };
+        
+        const { peerConnection, localStream } = await createPeerConnection(callId, type, 'callerCandidates', handlers);
+        activeCall.peerConnection = peerConnection;
+        activeCall.localStream = localStream;
+        
+        const offer = await peerConnection.createOffer();
+        
+        // Call record and the callee's ringing entry in one write. This happens before
+        // setLocalDescription starts ICE gathering, so candidates always have a call to go to.
+        await update(ref(database), {
+            [`calls/${callId}`]: {
+                callerId: currentUserId,
+                calleeId: calleeId,
+                chatId: chatId,
+                type: type,
+                status: CALL_STATUS.RINGING,
+                offer: { type: offer.type, sdp: offer.sdp },
+                createdAt: serverTimestamp()
+            },
+            [`incomingCalls/${calleeId}/${callId}`]: {
+                callerId: currentUserId,
+                type: type,
+                createdAt: serverTimestamp()
+            }
+        });
+        
+        await peerConnection.setLocalDescription(offer);
+        
+        // Hang up for both sides if this tab goes away
+        onDisconnect(ref(database, `calls/${callId}/status`)).set(CALL_STATUS.ENDED);
+        onDisconnect(ref(database, `incomingCalls/${calleeId}/${callId}`)).remove();
+        
+        activeCall.unsubscribes.push(
+            listenToCallState(callId, handlers),
+            listenToRemoteCandidates(callId, 'calleeCandidates', peerConnection)
+        );
+        
+        activeCall.ringTimeout = setTimeout(() => markCallMissed(callId, calleeId), CALL_RING_TIMEOUT);
+        
+        console.log('Call started');
+        return callId;
+    } catch (error) {
+        console.error('Error starting call:', error);
+        
+        // Release the camera/microphone if setup failed halfway
+        activeCall?.localStream?.getTracks().forEach(track => track.stop());
+        activeCall?.peerConnection?.close();
+        activeCall = null;
+        
+        throw error;
+    }
+}
+
+// Answer an incoming call
+export async function answerCall(callId, handlers = {}) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        if (activeCall) {
+            throw new Error('You are already in a call');
+        }
+        
+        const snapshot = await get(ref(database, `calls/${callId}`));
+        const call = snapshot.val();
+        
+        if (!call || call.calleeId !== currentUserId) {
+            throw new Error('Call not found');
+        }
+        
+        if (call.status !== CALL_STATUS.RINGING) {
+            throw new Error('This call has ended');
+        }
+        
+        activeCall = { callId, isCaller: false, handlers, unsubscribes: [] };
+        
+        const { peerConnection, localStream } = await createPeerConnection(callId, call.type, 'calleeCandidates', handlers);
+        activeCall.peerConnection = peerConnection;
+        activeCall.localStream = localStream;
+        
+        await peerConnection.setRemoteDescription(new RTCSessionDescription(call.offer));
+        const answer = await peerConnection.createAnswer();
+        await peerConnection.setLocalDescription(answer);
+        
+        await update(ref(database), {
+            [`calls/${callId}/answer`]: { type: answer.type, sdp: answer.sdp },
+            [`calls/${callId}/status`]: CALL_STATUS.ACCEPTED,
+            [`calls/${callId}/answeredAt`]: serverTimestamp(),
+            [`incomingCalls/${currentUserId}/${callId}`]: null
+        });
+        
+        onDisconnect(ref(database, `calls/${callId}/status`)).set(CALL_STATUS.ENDED);
+        
+        activeCall.unsubscribes.push(
+            listenToCallState(callId, handlers),
+            listenToRemoteCandidates(callId, 'callerCandidates', peerConnection)
+        );
+        
+        console.log('Call answered');
+        return call;
+    } catch (error) {
+        console.error('Error answering call:', error);
+        
+        activeCall?.localStream?.getTracks().forEach(track => track.stop());
+        activeCall?.peerConnection?.close();
+        activeCall = null;
+        
+        throw error;
+    }
+}
+
+// Decline an incoming call
+export async function declineCall(callId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        await update(ref(database), {
+            [`calls/${callId}/status`]: CALL_STATUS.DECLINED,
+            [`calls/${callId}/endedAt`]: serverTimestamp(),
+            [`incomingCalls/${currentUserId}/${callId}`]: null
+        });
+        
+        console.log('Call declined');
+        return true;
+    } catch (error) {
+        console.error('Error declining call:', error);
+        throw error;
+    }
+}
+
+// Hang up the active call (cancels it if it is still ringing)
+export async function endCall() {
+    try {
+        if (!activeCall) return false;
+        
+        const { callId, isCaller } = activeCall;
+        const snapshot = await get(ref(database, `calls/${callId}`));
+        const call = snapshot.val();
+        
+        if (!call || FINISHED_STATUSES.includes(call.status)) {
+            return false;
+        }
+        
+        const wasRinging = call.status === CALL_STATUS.RINGING;
+        
+        await update(ref(database), {
+            [`calls/${callId}/status`]: wasRinging ? CALL_STATUS.CANCELLED : CALL_STATUS.ENDED,
+            [`calls/${callId}/endedAt`]: serverTimestamp(),
+            [`incomingCalls/${call.calleeId}/${callId}`]: null
+        });
+        
+        // A call hung up before it was answered is a missed call for the callee
+        if (wasRinging && isCaller) {
+            await notifyMissedCall(callId, call.calleeId);
+        }
+        
+        console.log('Call ended');
+        return true;
+    } catch (error) {
+        console.error('Error ending call:', error);
+        throw error;
+    }
+}
+
+// Mute or unmute the microphone; returns whether it is now enabled
+export function toggleMicrophone() {
+    const track = activeCall?.localStream?.getAudioTracks()[0];
+    if (!track) return false;
+    
+    track.enabled = !track.enabled;
+    return track.enabled;
+}
+
+// Turn the camera off or on; returns whether it is now enabled
+export function toggleCamera() {
+    const track = activeCall?.localStream?.getVideoTracks()[0];
+    if (!track) return false;
+    
+    track.enabled = !track.enabled;
+    return track.enabled;
+}
+
+// Check whether this tab is in a call
+export function isInCall() {
+    return activeCall !== null;
+}
+
+// Listen to calls ringing for the current user
+export function listenToIncomingCalls({ onIncoming, onCancelled }) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        return () => {};
+    }
+    
+    const incomingRef = ref(database, `incomingCalls/${currentUserId}`);
+    
+    const unsubscribeAdded = onChildAdded(incomingRef, async (snapshot) => {
+        try {
+            const callId = snapshot.key;
+            const callSnapshot = await get(ref(database, `calls/${callId}`));
+            const call = callSnapshot.val();
+            
+            // Drop entries left behind by calls that are no longer ringing
+            if (!call || call.status !== CALL_STATUS.RINGING || Date.now() - call.createdAt > CALL_RING_TIMEOUT) {
+                await remove(ref(database, `incomingCalls/${currentUserId}/${callId}`));
+                return;
+            }
+            
+            const callerProfile = await getUserProfile(call.callerId);
+            onIncoming?.({ callId, ...call, caller: { uid: call.callerId, ...callerProfile } });
+        } catch (error) {
+            console.error('Error handling incoming call:', error);
+        }
+    });
+    
+    const unsubscribeRemoved = onChildRemoved(incomingRef, (snapshot) => {
+        onCancelled?.(snapshot.key);
+    });
+    
+    return () => {
+        unsubscribeAdded();
+        unsubscribeRemoved();
+    };
+}
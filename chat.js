@@ -7,25 +7,1645 @@ import {
     push, 
     remove,
     onValue,
+    onChildAdded,
+    onChildChanged,
+    onChildRemoved,
     off,
+    onDisconnect,
     serverTimestamp,
     query,
     orderByChild,
-    limitToLast
+    orderByKey,
+    startAt,
+    endAt,
+    endBefore,
+    startAfter,
+    limitToFirst,
+    limitToLast,
+    increment
 } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-database.js';
 
 import { database } from './firebase-config.js';
 import { getCurrentUserId } from './auth.js';
-import { getUserProfile, areFriends } from './friends.js';
+import { getUserProfile, getUserPublicKey, getUserIdByUsername } from './database.js';
+import { areFriends, blockUser } from './friends.js';
 import { addNotification } from './notifications.js';
+import { 
+    uploadGroupAvatar, 
+    uploadChatAttachment, 
+    uploadVoiceMessage, 
+    updateChatAttachmentAccess, 
+    deleteImage 
+} from './storage.js';
+import { 
+    deriveChatKey, 
+    encryptText, 
+    decryptText,
+    getLocalPublicKey,
+    isSamePublicKey,
+    getSafetyNumber,
+    isContactVerified,
+    setContactVerified
+} from './encryption.js';
+
+// Chat types
+export const CHAT_TYPES = {
+    DIRECT: 'direct',
+    GROUP: 'group'
+};
+
+// Delivery states of outgoing messages
+export const MESSAGE_STATUS = {
+    SENT: 'sent',
+    DELIVERED: 'delivered',
+    READ: 'read'
+};
+
+// Kinds of message content (plain text messages have no type)
+export const MESSAGE_TYPES = {
+    IMAGE: 'image',
+    FILE: 'file',
+    VOICE: 'voice',
+    CALL: 'call',
+    SYSTEM: 'system'
+};
+
+// State of a message request from someone who isn't a friend (chats/$chatId/request/status)
+export const MESSAGE_REQUEST_STATUS = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    IGNORED: 'ignored'
+};
+
+// Emoji offered in the reaction picker (the database rules accept only these)
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Maximum number of participants in a group chat
+const MAX_GROUP_SIZE = 50;
+
+// Characters of the quoted message kept with a reply
+const REPLY_SNIPPET_LENGTH = 100;
+
+// Disappearing message timers a chat can use (milliseconds; 0 turns them off)
+export const DISAPPEARING_MESSAGE_OPTIONS = [
+    { duration: 0, label: 'Off' },
+    { duration: 24 * 60 * 60 * 1000, label: '24 hours' },
+    { duration: 7 * 24 * 60 * 60 * 1000, label: '7 days' },
+    { duration: 90 * 24 * 60 * 60 * 1000, label: '90 days' }
+];
+
+// Expired messages are only purged once they are this old, so a client clock running ahead
+// of the server (whose time the rules check) doesn't get the purge rejected
+const EXPIRED_MESSAGE_PURGE_DELAY = 60 * 1000;
+
+// How long a chat can be muted for; mutedUntil of -1 mutes it until unmuted
+export const MUTE_DURATIONS = [
+    { duration: 8 * 60 * 60 * 1000, label: 'for 8 hours' },
+    { duration: 7 * 24 * 60 * 60 * 1000, label: 'for 1 week' },
+    { duration: -1, label: 'until I unmute' }
+];
+
+// Longest delay setTimeout supports; later expiries are left to the cleanup job
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Messages fetched per request when walking a chat's whole history
+const HISTORY_PAGE_SIZE = 500;
+
+// Chat insights: silence that ends a conversation, and the most used words / emojis listed
+const CONVERSATION_GAP = 6 * 60 * 60 * 1000;
+const TOP_INSIGHT_ENTRIES = 10;
+const MIN_INSIGHT_WORD_LENGTH = 3;
+
+// Common English words left out of the most used words
+const INSIGHT_STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'him', 'his', 'how', 'its', 'let', 'she', 'too', 'use', 'that', 'with', 'have',
+    'this', 'will', 'your', 'from', 'they', 'been', 'were', 'what', 'when', 'who', 'there', 'their',
+    'them', 'then', 'than', 'just', 'like', 'also', 'into', 'some', 'would', 'could', 'should', 'about',
+    'yes', 'yeah', 'don\'t', 'i\'m', 'it\'s', 'did', 'does', 'get', 'got', 'now', 'see', 'here', 'very'
+]);
+
+// Derived AES keys of encrypted direct chats (`${chatId}:${contact key x}` -> Promise<CryptoKey>)
+const chatKeyCache = new Map();
+
+// Published public key of the other person in each encrypted direct chat (chatId -> Promise<Object>)
+const contactKeyCache = new Map();
+
+// Generate chat ID for two users (consistent ordering)
+function generateChatId(userId1, userId2) {
+    return userId1 < userId2 ? `${userId1}_${userId2}` : `${userId2}_${userId1}`;
+}
+
+// Get chat metadata and check that the current user takes part in it
+async function getParticipatingChat(chatId, currentUserId) {
+    const snapshot = await get(ref(database, `chats/${chatId}`));
+    
+    if (!snapshot.exists()) {
+        throw new Error('Chat not found');
+    }
+    
+    const chat = snapshot.val();
+    if (!chat.participants?.[currentUserId]) {
+        throw new Error('You are not a participant of this chat');
+    }
+    
+    return chat;
+}
+
+// Check that the current user is an admin of a group chat
+async function getAdministeredGroup(chatId, currentUserId) {
+    const chat = await getParticipatingChat(chatId, currentUserId);
+    
+    if (chat.type !== CHAT_TYPES.GROUP) {
+        throw new Error('Chat is not a group');
+    }
+    
+    if (!chat.admins?.[currentUserId]) {
+        throw new Error('Only group admins can do this');
+    }
+    
+    return chat;
+}
+
+// Post a system message (member joined, left, ...) to a chat
+async function postSystemMessage(chatId, text) {
+    const messageRef = push(ref(database, `messages/${chatId}`));
+    
+    await set(messageRef, {
+        type: MESSAGE_TYPES.SYSTEM,
+        senderId: getCurrentUserId(),
+        text: text,
+        timestamp: serverTimestamp()
+    });
+    
+    return messageRef.key;
+}
+
+// Send message. A client-generated messageId (see createMessageId) makes retries safe: a message
+// that already reached the database is not written twice.
+export async function sendMessage(chatId, messageText, replyToMessage = null, { messageId = null } = {}) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        await assertCanMessage(chat, currentUserId);
+        
+        const sentMessageId = await deliverMessage(chatId, chat, currentUserId, {
+            text: messageText,
+            ...(replyToMessage ? { replyTo: createReplyReference(replyToMessage) } : {})
+        }, { messageId });
+        
+        console.log('Message sent successfully');
+        return sentMessageId;
+    } catch (error) {
+        console.error('Error sending message:', error);
+        throw error;
+    }
+}
+
+// Send an image or file, uploaded to chat-attachments/$chatId, with an optional caption
+export async function sendAttachmentMessage(chatId, file, caption = '', onProgress, replyToMessage = null) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        await assertCanMessage(chat, currentUserId);
+        
+        const upload = await uploadChatAttachment(file, chatId, Object.keys(chat.participants), onProgress);
+        
+        const messageId = await deliverMessage(chatId, chat, currentUserId, {
+            type: upload.type.startsWith('image/') ? MESSAGE_TYPES.IMAGE : MESSAGE_TYPES.FILE,
+            text: caption.trim(),
+            attachment: {
+                url: upload.url,
+                path: upload.path,
+                name: upload.originalName,
+                size: upload.size,
+                contentType: upload.type
+            },
+            ...(replyToMessage ? { replyTo: createReplyReference(replyToMessage) } : {})
+        });
+        
+        console.log('Attachment sent successfully');
+        return messageId;
+    } catch (error) {
+        console.error('Error sending attachment:', error);
+        throw error;
+    }
+}
+
+// What a reply stores about the message it quotes: enough to render the quote without loading it
+function createReplyReference(message) {
+    const snippet = message.text || getMessagePreview(message);
+    
+    return {
+        messageId: message.id,
+        senderId: message.senderId,
+        snippet: snippet.length > REPLY_SNIPPET_LENGTH ? `${snippet.slice(0, REPLY_SNIPPET_LENGTH)}…` : snippet
+    };
+}
+
+// Send a recorded voice message ({ blob, duration, peaks } from voice.js)
+export async function sendVoiceMessage(chatId, recording, onProgress, replyToMessage = null) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        await assertCanMessage(chat, currentUserId);
+        
+        const upload = await uploadVoiceMessage(recording.blob, chatId, Object.keys(chat.participants), onProgress);
+        
+        const messageId = await deliverMessage(chatId, chat, currentUserId, {
+            type: MESSAGE_TYPES.VOICE,
+            text: '',
+            voice: {
+                duration: recording.duration,
+                peaks: recording.peaks
+            },
+            attachment: {
+                url: upload.url,
+                path: upload.path,
+                name: upload.originalName,
+                size: upload.size,
+                contentType: upload.type
+            },
+            ...(replyToMessage ? { replyTo: createReplyReference(replyToMessage) } : {})
+        });
+        
+        console.log('Voice message sent successfully');
+        return messageId;
+    } catch (error) {
+        console.error('Error sending voice message:', error);
+        throw error;
+    }
+}
+
+// Public key the other person of a direct chat has published. Cached per chat;
+// refresh re-reads it in case they set up encryption in a new browser.
+function getContactPublicKey(chatId, { refresh = false } = {}) {
+    if (!refresh && contactKeyCache.has(chatId)) {
+        return contactKeyCache.get(chatId);
+    }
+    
+    const keyPromise = (async () => {
+        const currentUserId = getCurrentUserId();
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        const contactId = Object.keys(chat.participants).find(uid => uid !== currentUserId);
+        
+        const contactPublicKey = await getUserPublicKey(contactId);
+        if (!contactPublicKey) {
+            throw new Error('Your friend has not set up encryption yet');
+        }
+        
+        return contactPublicKey;
+    })();
+    
+    contactKeyCache.set(chatId, keyPromise);
+    keyPromise.catch(() => contactKeyCache.delete(chatId));
+    
+    return keyPromise;
+}
+
+// AES key this browser shares with one public key of the other person, cached per key
+function getChatKey(chatId, contactPublicKey) {
+    const cacheKey = `${chatId}:${contactPublicKey.x}`;
+    if (chatKeyCache.has(cacheKey)) {
+        return chatKeyCache.get(cacheKey);
+    }
+    
+    const keyPromise = deriveChatKey(contactPublicKey, chatId);
+    chatKeyCache.set(cacheKey, keyPromise);
+    keyPromise.catch(() => chatKeyCache.delete(cacheKey));
+    
+    return keyPromise;
+}
+
+// Key for a new message plus both public keys it is derived from, which are stored on the message
+// so it stays readable after either person publishes a key from another browser
+async function getMessageEncryption(chatId) {
+    const senderKey = await getLocalPublicKey(getCurrentUserId());
+    if (!senderKey) {
+        throw new Error('Encryption keys are not set up in this browser');
+    }
+    
+    const recipientKey = await getContactPublicKey(chatId, { refresh: true });
+    
+    return {
+        key: await getChatKey(chatId, recipientKey),
+        senderKey: senderKey,
+        recipientKey: recipientKey
+    };
+}
+
+// Key a stored message was encrypted with
+async function getMessageKey(chatId, message) {
+    // Older messages do not store their keys; they were encrypted for the keys published at the time
+    if (!message.senderKey || !message.recipientKey) {
+        try {
+            return await getChatKey(chatId, await getContactPublicKey(chatId));
+        } catch (error) {
+            return getChatKey(chatId, await getContactPublicKey(chatId, { refresh: true }));
+        }
+    }
+    
+    const sentByMe = message.senderId === getCurrentUserId();
+    const ownKey = sentByMe ? message.senderKey : message.recipientKey;
+    const contactKey = sentByMe ? message.recipientKey : message.senderKey;
+    
+    if (!isSamePublicKey(ownKey, await getLocalPublicKey(getCurrentUserId()))) {
+        throw new Error('This message was encrypted for another browser');
+    }
+    
+    return getChatKey(chatId, contactKey);
+}
+
+// Decrypt a message (and its edit history) for display; messages that cannot be decrypted are flagged instead
+async function decryptMessage(chatId, message) {
+    if (!message.encrypted || message.deleted) {
+        return message;
+    }
+    
+    const decryptWithKey = async (key) => {
+        const decrypted = { ...message, text: await decryptText(key, message) };
+        
+        if (message.replyTo?.ciphertext) {
+            decrypted.replyTo = { ...message.replyTo, snippet: await decryptText(key, message.replyTo) };
+        }
+        
+        if (message.editHistory) {
+            decrypted.editHistory = {};
+            for (const versionId of Object.keys(message.editHistory)) {
+                const version = message.editHistory[versionId];
+                decrypted.editHistory[versionId] = {
+                    ...version,
+                    text: version.ciphertext ? await decryptText(key, version) : version.text
+                };
+            }
+        }
+        
+        return decrypted;
+    };
+    
+    try {
+        return await decryptWithKey(await getMessageKey(chatId, message));
+    } catch (error) {
+        console.error('Error decrypting message:', error);
+        return { ...message, text: '', decryptionFailed: true };
+    }
+}
+
+// Record a finished call in the chat (posted by the caller; missed calls are notified separately)
+export async function addCallHistoryMessage(chatId, callSummary) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        
+        const messageId = await deliverMessage(chatId, chat, currentUserId, {
+            type: MESSAGE_TYPES.CALL,
+            text: '',
+            call: callSummary
+        }, { notify: false });
+        
+        console.log('Call history added');
+        return messageId;
+    } catch (error) {
+        console.error('Error adding call history:', error);
+        throw error;
+    }
+}
+
+// Direct messages are only allowed between friends
+async function assertCanMessage(chat, currentUserId) {
+    if (chat.type === CHAT_TYPES.GROUP) return;
+    
+    const otherUserId = Object.keys(chat.participants).find(uid => uid !== currentUserId);
+    const isFriend = await areFriends(currentUserId, otherUserId);
+    if (isFriend) return;
+    
+    // An accepted message request works like a friends' chat; the rules refuse messages once the other person blocks us
+    if (chat.request?.status === MESSAGE_REQUEST_STATUS.ACCEPTED) return;
+    
+    if (chat.request?.from === currentUserId) {
+        throw new Error('You can send more messages once your message request is accepted');
+    }
+    if (chat.request?.to === currentUserId) {
+        throw new Error('Accept the message request to reply');
+    }
+    
+    throw new Error('Can only send messages to friends');
+}
+
+// Generate a message ID without a round trip (push keys are created on the client)
+export function createMessageId(chatId) {
+    return push(ref(database, `messages/${chatId}`)).key;
+}
+
+// Write a message, the chat metadata and every participant's chat entry in one update, then notify recipients
+async function deliverMessage(chatId, chat, currentUserId, content, { notify = true, messageId = null } = {}) {
+    // A retried send whose earlier attempt got through (only the acknowledgement was lost)
+    if (messageId) {
+        const existing = await get(ref(database, `messages/${chatId}/${messageId}`));
+        if (existing.exists()) {
+            return messageId;
+        }
+    }
+    
+    const recipientIds = Object.keys(chat.participants).filter(uid => uid !== currentUserId);
+    const isGroup = chat.type === CHAT_TYPES.GROUP;
+    
+    // Encrypted chats only store the ciphertext of the text (or caption) and of a quoted snippet
+    if (chat.encryption?.enabled && !isGroup) {
+        const { key, senderKey, recipientKey } = await getMessageEncryption(chatId);
+        content = {
+            ...content,
+            ...(await encryptText(key, content.text)),
+            text: '',
+            encrypted: true,
+            senderKey: senderKey,
+            recipientKey: recipientKey
+        };
+        
+        if (content.replyTo) {
+            const { snippet, ...reference } = content.replyTo;
+            content.replyTo = { ...reference, ...(await encryptText(key, snippet)) };
+        }
+    }
+    
+    const messageData = {
+        senderId: currentUserId,
+        ...content,
+        timestamp: serverTimestamp()
+    };
+    
+    if (chat.disappearing?.duration > 0) {
+        messageData.expiresAt = Date.now() + chat.disappearing.duration;
+    }
+    
+    if (!isGroup) {
+        messageData.recipientId = recipientIds[0];
+    }
+    
+    const newMessageRef = ref(database, `messages/${chatId}/${messageId || createMessageId(chatId)}`);
+    const previewText = getMessagePreview(messageData);
+    
+    const updates = {
+        [`messages/${chatId}/${newMessageRef.key}`]: messageData,
+        [`chats/${chatId}/lastMessage`]: {
+            messageId: newMessageRef.key,
+            text: previewText,
+            senderId: currentUserId,
+            timestamp: serverTimestamp()
+        },
+        [`chats/${chatId}/updatedAt`]: serverTimestamp(),
+        [`userChats/${currentUserId}/${chatId}/lastMessage`]: previewText,
+        [`userChats/${currentUserId}/${chatId}/lastMessageTime`]: serverTimestamp(),
+        [`userChats/${currentUserId}/${chatId}/lastMessageKey`]: newMessageRef.key,
+        [`userChats/${currentUserId}/${chatId}/lastMessageSenderId`]: currentUserId
+    };
+    
+    recipientIds.forEach(recipientId => {
+        updates[`userChats/${recipientId}/${chatId}/lastMessage`] = previewText;
+        updates[`userChats/${recipientId}/${chatId}/lastMessageTime`] = serverTimestamp();
+        updates[`userChats/${recipientId}/${chatId}/lastMessageKey`] = newMessageRef.key;
+        updates[`userChats/${recipientId}/${chatId}/lastMessageSenderId`] = currentUserId;
+        updates[`userChats/${recipientId}/${chatId}/unreadCount`] = increment(1);
+    });
+    
+    await update(ref(database), updates);
+    
+    if (!notify) {
+        return newMessageRef.key;
+    }
+    
+    // Add notification for recipients
+    const senderProfile = await getUserProfile(currentUserId);
+    const notificationMessage = isGroup
+        ? `${senderProfile.displayName} sent a message in ${chat.name}`
+        : `${senderProfile.displayName} sent you a message`;
+    
+    await Promise.all(recipientIds.map(recipientId => addNotification(recipientId, {
+        type: 'new_message',
+        from: currentUserId,
+        message: notificationMessage,
+        timestamp: Date.now(),
+        chatId: chatId
+    })));
+    
+    return newMessageRef.key;
+}
+
+// Get chat messages
+export async function getChatMessages(chatId, limit = 50) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return [];
+        }
+        
+        const messagesRef = ref(database, `messages/${chatId}`);
+        const messagesQuery = query(messagesRef, limitToLast(limit));
+        
+        const snapshot = await get(messagesQuery);
+        
+        if (!snapshot.exists()) {
+            return [];
+        }
+        
+        const messages = snapshot.val();
+        const messagesList = [];
+        
+        Object.keys(messages).forEach(messageId => {
+            if (isMessageExpired(messages[messageId])) return;
+            
+            messagesList.push({
+                id: messageId,
+                ...messages[messageId]
+            });
+        });
+        
+        // Sort by timestamp
+        messagesList.sort((a, b) => {
+            const timeA = a.timestamp || 0;
+            const timeB = b.timestamp || 0;
+            return timeA - timeB;
+        });
+        
+        return Promise.all(messagesList.map(message => decryptMessage(chatId, message)));
+    } catch (error) {
+        console.error('Error getting chat messages:', error);
+        return [];
+    }
+}
+
+// Get the page of messages just before beforeKey (the newest page without one), oldest first.
+// Push keys sort chronologically, so key order is send order.
+export async function getMessagesPage(chatId, beforeKey = null, limit = 30) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return { messages: [], oldestKey: null, hasMore: false };
+        }
+        
+        const constraints = [orderByKey()];
+        if (beforeKey) {
+            constraints.push(endBefore(beforeKey));
+        }
+        constraints.push(limitToLast(limit));
+        
+        const messagesQuery = query(ref(database, `messages/${chatId}`), ...constraints);
+        const snapshot = await get(messagesQuery);
+        
+        const pageMessages = [];
+        snapshot.forEach(childSnapshot => {
+            pageMessages.push({
+                id: childSnapshot.key,
+                ...childSnapshot.val()
+            });
+        });
+        
+        // Expired messages still count for paging until the cleanup job removes them
+        const messages = await Promise.all(pageMessages
+            .filter(message => !isMessageExpired(message))
+            .map(message => decryptMessage(chatId, message)));
+        
+        return {
+            messages,
+            oldestKey: pageMessages.length > 0 ? pageMessages[0].id : null,
+            hasMore: pageMessages.length === limit
+        };
+    } catch (error) {
+        console.error('Error getting messages page:', error);
+        throw error;
+    }
+}
+
+// Get the page of messages just after afterKey (the oldest page without one), oldest first
+export async function getMessagesAfter(chatId, afterKey = null, limit = 30) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return { messages: [], newestKey: null, hasMore: false };
+        }
+        
+        const constraints = [orderByKey()];
+        if (afterKey) {
+            constraints.push(startAfter(afterKey));
+        }
+        constraints.push(limitToFirst(limit));
+        
+        const messagesQuery = query(ref(database, `messages/${chatId}`), ...constraints);
+        const snapshot = await get(messagesQuery);
+        
+        const pageMessages = [];
+        snapshot.forEach(childSnapshot => {
+            pageMessages.push({
+                id: childSnapshot.key,
+                ...childSnapshot.val()
+            });
+        });
+        
+        const messages = await Promise.all(pageMessages
+            .filter(message => !isMessageExpired(message))
+            .map(message => decryptMessage(chatId, message)));
+        
+        return {
+            messages,
+            newestKey: pageMessages.length > 0 ? pageMessages[pageMessages.length - 1].id : afterKey,
+            hasMore: pageMessages.length === limit
+        };
+    } catch (error) {
+        console.error('Error getting messages page:', error);
+        throw error;
+    }
+}
+
+// Get one message as it is now (decrypted), or null if it was deleted or has expired
+export async function getChatMessage(chatId, messageId) {
+    const snapshot = await get(ref(database, `messages/${chatId}/${messageId}`));
+    if (!snapshot.exists()) {
+        return null;
+    }
+    
+    const message = { id: messageId, ...snapshot.val() };
+    return isMessageExpired(message) ? null : decryptMessage(chatId, message);
+}
+
+// Get a chat's whole history, oldest first, one page at a time; onProgress gets the count so far
+export async function getAllChatMessages(chatId, onProgress) {
+    try {
+        const messages = [];
+        let beforeKey = null;
+        let hasMore = true;
+        
+        while (hasMore) {
+            const page = await getMessagesPage(chatId, beforeKey, HISTORY_PAGE_SIZE);
+            
+            messages.unshift(...page.messages);
+            beforeKey = page.oldestKey;
+            hasMore = page.hasMore;
+            
+            onProgress?.(messages.length);
+        }
+        
+        return messages;
+    } catch (error) {
+        console.error('Error getting chat history:', error);
+        throw error;
+    }
+}
+
+// Listen to messages added, changed or removed with keys from startKey up to (excluding) endKey.
+// Without endKey the range is open-ended, so newly sent messages arrive through onAdded.
+// Disappearing messages are reported as removed once they expire.
+export function listenToChatMessages(chatId, { startKey = null, endKey = null }, callbacks) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        return () => {};
+    }
+    
+    const constraints = [orderByKey()];
+    if (startKey) {
+        constraints.push(startAt(startKey));
+    }
+    if (endKey) {
+        constraints.push(endBefore(endKey));
+    }
+    
+    const messagesQuery = query(ref(database, `messages/${chatId}`), ...constraints);
+    const toMessage = (snapshot) => decryptMessage(chatId, { id: snapshot.key, ...snapshot.val() });
+    const expiryTimers = new Map();
+    
+    const scheduleExpiry = (messageId, expiresAt) => {
+        clearTimeout(expiryTimers.get(messageId));
+        
+        const delay = expiresAt - Date.now();
+        if (delay < MAX_TIMER_DELAY) {
+            expiryTimers.set(messageId, setTimeout(() => {
+                expiryTimers.delete(messageId);
+                callbacks.onRemoved?.(messageId);
+            }, delay));
+        }
+    };
+    
+    const unsubscribes = [
+        onChildAdded(messagesQuery, async (snapshot) => {
+            const value = snapshot.val();
+            if (isMessageExpired(value)) return;
+            
+            if (value.expiresAt) {
+                scheduleExpiry(snapshot.key, value.expiresAt);
+            }
+            callbacks.onAdded?.(await toMessage(snapshot));
+        }),
+        onChildChanged(messagesQuery, async (snapshot) => {
+            if (isMessageExpired(snapshot.val())) {
+                callbacks.onRemoved?.(snapshot.key);
+                return;
+            }
+            callbacks.onChanged?.(await toMessage(snapshot));
+        }),
+        onChildRemoved(messagesQuery, (snapshot) => {
+            clearTimeout(expiryTimers.get(snapshot.key));
+            expiryTimers.delete(snapshot.key);
+            callbacks.onRemoved?.(snapshot.key);
+        })
+    ];
+    
+    return () => {
+        unsubscribes.forEach(unsubscribe => unsubscribe());
+        expiryTimers.forEach(timer => clearTimeout(timer));
+        expiryTimers.clear();
+    };
+}
+
+function isMessageExpired(message) {
+    return !!message.expiresAt && message.expiresAt <= Date.now();
+}
+
+// Delete a chat's expired disappearing messages and their attachments. Any participant may
+// purge them, so whoever opens the app first after a message expires cleans it up.
+export async function purgeExpiredMessages(chatId) {
+    try {
+        const expiredQuery = query(
+            ref(database, `messages/${chatId}`),
+            orderByChild('expiresAt'),
+            startAt(1),
+            endAt(Date.now() - EXPIRED_MESSAGE_PURGE_DELAY)
+        );
+        const snapshot = await get(expiredQuery);
+        
+        if (!snapshot.exists()) {
+            return 0;
+        }
+        
+        const updates = {};
+        const attachments = [];
+        let newestKey = '';
+        
+        snapshot.forEach(childSnapshot => {
+            updates[`messages/${chatId}/${childSnapshot.key}`] = null;
+            if (childSnapshot.val().attachment) {
+                attachments.push(childSnapshot.val().attachment);
+            }
+            if (childSnapshot.key > newestKey) {
+                newestKey = childSnapshot.key;
+            }
+        });
+        
+        await update(ref(database), updates);
+        await Promise.all(attachments.map(deleteMessageAttachment));
+        
+        // The chat's last message can only be among the purged ones if it is the newest of them
+        await refreshLastMessagePreview(chatId, newestKey);
+        
+        console.log('Expired messages purged');
+        return Object.keys(updates).length;
+    } catch (error) {
+        console.error('Error purging expired messages:', error);
+        throw error;
+    }
+}
+
+// Cleanup job: purge expired messages in every chat of the current user
+export async function purgeExpiredMessagesInAllChats() {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return 0;
+        }
+        
+        const snapshot = await get(ref(database, `userChats/${currentUserId}`));
+        if (!snapshot.exists()) {
+            return 0;
+        }
+        
+        let purged = 0;
+        for (const chatId of Object.keys(snapshot.val())) {
+            try {
+                purged += await purgeExpiredMessages(chatId);
+            } catch (error) {
+                // Keep going with the other chats
+            }
+        }
+        
+        return purged;
+    } catch (error) {
+        console.error('Error purging expired messages:', error);
+        return 0;
+    }
+}
+
+// Mark messages as read
+export async function markMessagesAsRead(chatId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return;
+        }
+        
+        const userChatRef = ref(database, `userChats/${currentUserId}/${chatId}`);
+        const userChatSnapshot = await get(userChatRef);
+        const userChat = userChatSnapshot.val() || {};
+        
+        // Read receipts would tell the sender of a message request it was seen before it is accepted
+        if (userChat.request) {
+            return;
+        }
+        
+        // Newest message in the chat (older chats may not track it on userChats yet)
+        let lastMessageKey = userChat.lastMessageKey;
+        if (!lastMessageKey) {
+            const lastMessageQuery = query(ref(database, `messages/${chatId}`), limitToLast(1));
+            const lastMessageSnapshot = await get(lastMessageQuery);
+            lastMessageKey = lastMessageSnapshot.exists() ? Object.keys(lastMessageSnapshot.val())[0] : null;
+        }
+        
+        const hasUnreadMessages = lastMessageKey && (!userChat.lastReadKey || lastMessageKey > userChat.lastReadKey);
+        
+        if (!hasUnreadMessages) {
+            if (userChat.unreadCount) {
+                await update(userChatRef, { unreadCount: 0 });
+            }
+            return;
+        }
+        
+        // Move the read pointer instead of flagging every message
+        const updates = {
+            [`userChats/${currentUserId}/${chatId}/unreadCount`]: 0,
+            [`userChats/${currentUserId}/${chatId}/lastReadKey`]: lastMessageKey,
+            [`userChats/${currentUserId}/${chatId}/lastDeliveredKey`]: lastMessageKey,
+            [`chats/${chatId}/receipts/${currentUserId}/lastReadKey`]: lastMessageKey,
+            [`chats/${chatId}/receipts/${currentUserId}/readAt`]: serverTimestamp(),
+            [`chats/${chatId}/receipts/${currentUserId}/lastDeliveredKey`]: lastMessageKey,
+            [`chats/${chatId}/receipts/${currentUserId}/deliveredAt`]: serverTimestamp()
+        };
+        
+        // The message may have expired or been deleted since; stamping it would fail the whole update
+        if (await messageExists(chatId, lastMessageKey)) {
+            updates[`messages/${chatId}/${lastMessageKey}/readBy/${currentUserId}`] = serverTimestamp();
+        }
+        
+        await update(ref(database), updates);
+        
+        console.log('Messages marked as read');
+    } catch (error) {
+        console.error('Error marking messages as read:', error);
+    }
+}
+
+// Mark a chat's messages up to messageKey as delivered to the current user
+async function markChatAsDelivered(chatId, messageKey) {
+    const currentUserId = getCurrentUserId();
+    
+    const updates = {
+        [`userChats/${currentUserId}/${chatId}/lastDeliveredKey`]: messageKey,
+        [`chats/${chatId}/receipts/${currentUserId}/lastDeliveredKey`]: messageKey,
+        [`chats/${chatId}/receipts/${currentUserId}/deliveredAt`]: serverTimestamp()
+    };
+    
+    if (await messageExists(chatId, messageKey)) {
+        updates[`messages/${chatId}/${messageKey}/deliveredTo/${currentUserId}`] = serverTimestamp();
+    }
+    
+    await update(ref(database), updates);
+}
+
+// Whether a message is still in the chat (it may have expired or been deleted)
+async function messageExists(chatId, messageId) {
+    const senderSnapshot = await get(ref(database, `messages/${chatId}/${messageId}/senderId`));
+    return senderSnapshot.exists();
+}
+
+// Acknowledge delivery of incoming messages while the app is open, passing each new message
+// in an unmuted chat to onNewMessage
+export function listenToIncomingMessageDelivery(onNewMessage = null) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        return () => {};
+    }
+    
+    const userChatsRef = ref(database, `userChats/${currentUserId}`);
+    
+    const unsubscribe = onValue(userChatsRef, (snapshot) => {
+        if (!snapshot.exists()) return;
+        
+        const chats = snapshot.val();
+        
+        Object.keys(chats).forEach(chatId => {
+            const chat = chats[chatId];
+            const isIncoming = chat.lastMessageKey && chat.lastMessageSenderId !== currentUserId;
+            const isUndelivered = !chat.lastDeliveredKey || chat.lastMessageKey > chat.lastDeliveredKey;
+            
+            if (isIncoming && isUndelivered) {
+                markChatAsDelivered(chatId, chat.lastMessageKey).catch(error => {
+                    console.error('Error marking messages as delivered:', error);
+                });
+                
+                // Each message is undelivered only once, so this fires once per new message
+                if (onNewMessage && !isChatMuted(chat)) {
+                    onNewMessage({ chatId, ...chat });
+                }
+            }
+        });
+    });
+    
+    return unsubscribe;
+}
+
+// Listen to every participant's delivery and read pointers in a chat
+export function listenToChatReceipts(chatId, callback) {
+    const receiptsRef = ref(database, `chats/${chatId}/receipts`);
+    
+    const unsubscribe = onValue(receiptsRef, (snapshot) => {
+        callback(snapshot.exists() ? snapshot.val() : {});
+    });
+    
+    return unsubscribe;
+}
+
+// Compute sent/delivered/read state of the current user's messages.
+// Push keys sort chronologically, so a message is read by a recipient once its key is at or
+// before their lastReadKey. Each read/delivery also stamps the newest message at that moment,
+// so a message's time is the stamp on the first later message that carries one.
+export function getMessageReceipts(messages, receipts, recipientIds) {
+    const currentUserId = getCurrentUserId();
+    const result = {};
+    const nextDeliveredAt = {};
+    const nextReadAt = {};
+    
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const message = messages[i];
+        
+        recipientIds.forEach(uid => {
+            if (message.deliveredTo?.[uid]) nextDeliveredAt[uid] = message.deliveredTo[uid];
+            if (message.readBy?.[uid]) nextReadAt[uid] = message.readBy[uid];
+        });
+        
+        if (message.senderId !== currentUserId || message.type === MESSAGE_TYPES.SYSTEM) continue;
+        
+        const readTimes = [];
+        const deliveredTimes = [];
+        
+        recipientIds.forEach(uid => {
+            const receipt = receipts[uid] || {};
+            
+            if (receipt.lastReadKey && message.id <= receipt.lastReadKey) {
+                readTimes.push(nextReadAt[uid] || receipt.readAt);
+            }
+            
+            if (receipt.lastDeliveredKey && message.id <= receipt.lastDeliveredKey) {
+                deliveredTimes.push(nextDeliveredAt[uid] || receipt.deliveredAt);
+            }
+        });
+        
+        const isRead = recipientIds.length > 0 && readTimes.length === recipientIds.length;
+        const isDelivered = recipientIds.length > 0 && deliveredTimes.length === recipientIds.length;
+        
+        let status = MESSAGE_STATUS.SENT;
+        if (isRead) {
+            status = MESSAGE_STATUS.READ;
+        } else if (isDelivered) {
+            status = MESSAGE_STATUS.DELIVERED;
+        }
+        
+        result[message.id] = {
+            status,
+            sentAt: message.timestamp || null,
+            deliveredAt: isDelivered ? Math.max(...deliveredTimes.map(time => time || 0)) : null,
+            readAt: isRead ? Math.max(...readTimes.map(time => time || 0)) : null
+        };
+    }
+    
+    return result;
+}
+
+// Build a chat list entry from a userChats record
+async function buildChatListItem(chatId, chatData) {
+    if (chatData.type === CHAT_TYPES.GROUP) {
+        return {
+            chatId,
+            type: CHAT_TYPES.GROUP,
+            name: chatData.name || 'Group',
+            photoURL: chatData.avatar || null,
+            lastMessage: chatData.lastMessage || '',
+            lastMessageTime: chatData.lastMessageTime || 0,
+            unreadCount: chatData.unreadCount || 0,
+            ...getChatPreferences(chatData)
+        };
+    }
+    
+    const otherUserId = chatData.otherUserId;
+    
+    // Get other user's profile
+    const otherUserProfile = await getUserProfile(otherUserId);
+    if (!otherUserProfile) {
+        return null;
+    }
+    
+    return {
+        chatId,
+        type: CHAT_TYPES.DIRECT,
+        otherUser: {
+            uid: otherUserId,
+            ...otherUserProfile
+        },
+        name: otherUserProfile.displayName,
+        photoURL: otherUserProfile.photoURL,
+        lastMessage: chatData.lastMessage || '',
+        lastMessageTime: chatData.lastMessageTime || 0,
+        unreadCount: chatData.unreadCount || 0,
+        isMessageRequest: !!chatData.request,
+        ...getChatPreferences(chatData)
+    };
+}
+
+// The current user's own settings for a chat, stored next to it in userChats
+function getChatPreferences(chatData) {
+    return {
+        pinned: !!chatData.pinned,
+        archived: !!chatData.archived,
+        mutedUntil: chatData.mutedUntil || 0
+    };
+}
+
+// Check whether a chat (a userChats record or chat list entry) is muted right now
+export function isChatMuted(chat) {
+    return chat.mutedUntil === -1 || (chat.mutedUntil || 0) > Date.now();
+}
+
+// Build the sorted chat list from a userChats snapshot value
+async function buildChatList(chats) {
+    const chatsList = (await Promise.all(
+        Object.keys(chats).map(chatId => buildChatListItem(chatId, chats[chatId]))
+    )).filter(chat => chat !== null);
+    
+    // Pinned chats first, then by last message time
+    chatsList.sort((a, b) => {
+        if (a.pinned !== b.pinned) {
+            return a.pinned ? -1 : 1;
+        }
+        
+        const timeA = a.lastMessageTime || 0;
+        const timeB = b.lastMessageTime || 0;
+        return timeB - timeA;
+    });
+    
+    return chatsList;
+}
+
+// Get user chats
+export async function getUserChats() {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return [];
+        }
+        
+        const userChatsRef = ref(database, `userChats/${currentUserId}`);
+        const snapshot = await get(userChatsRef);
+        
+        if (!snapshot.exists()) {
+            return [];
+        }
+        
+        return await buildChatList(snapshot.val());
+    } catch (error) {
+        console.error('Error getting user chats:', error);
+        return [];
+    }
+}
+
+// Listen to user chats
+export function listenToUserChats(callback) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        return () => {};
+    }
+    
+    const userChatsRef = ref(database, `userChats/${currentUserId}`);
+    
+    const unsubscribe = onValue(userChatsRef, async (snapshot) => {
+        if (snapshot.exists()) {
+            callback(await buildChatList(snapshot.val()));
+        } else {
+            callback([]);
+        }
+    });
+    
+    return unsubscribe;
+}
+
+// Get total unread messages count
+export async function getTotalUnreadCount() {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return 0;
+        }
+        
+        const userChatsRef = ref(database, `userChats/${currentUserId}`);
+        const snapshot = await get(userChatsRef);
+        
+        if (!snapshot.exists()) {
+            return 0;
+        }
+        
+        return countUnreadMessages(snapshot.val());
+    } catch (error) {
+        console.error('Error getting total unread count:', error);
+        return 0;
+    }
+}
+
+// Listen to the total unread messages count
+export function listenToTotalUnreadCount(callback) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        return () => {};
+    }
+    
+    const userChatsRef = ref(database, `userChats/${currentUserId}`);
+    
+    const unsubscribe = onValue(userChatsRef, (snapshot) => {
+        callback(snapshot.exists() ? countUnreadMessages(snapshot.val()) : 0);
+    });
+    
+    return unsubscribe;
+}
+
+// Unread messages across userChats records; muted chats don't count
+function countUnreadMessages(chats) {
+    let totalUnread = 0;
+    
+    Object.values(chats).forEach(chat => {
+        if (!isChatMuted(chat)) {
+            totalUnread += chat.unreadCount || 0;
+        }
+    });
+    
+    return totalUnread;
+}
+
+// Update the current user's pinned / archived / mutedUntil settings for a chat
+async function updateChatPreferences(chatId, preferences) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        throw new Error('User not authenticated');
+    }
+    
+    const userChatRef = ref(database, `userChats/${currentUserId}/${chatId}`);
+    const snapshot = await get(userChatRef);
+    if (!snapshot.exists()) {
+        throw new Error('Chat not found');
+    }
+    
+    await update(userChatRef, preferences);
+}
+
+// Pin a chat to the top of the chat list, or unpin it
+export async function setChatPinned(chatId, pinned) {
+    try {
+        await updateChatPreferences(chatId, { pinned: pinned || null });
+        
+        console.log('Chat pin updated successfully');
+        return true;
+    } catch (error) {
+        console.error('Error pinning chat:', error);
+        throw error;
+    }
+}
+
+// Move a chat to the Archived section, or back; archiving also unpins it
+export async function setChatArchived(chatId, archived) {
+    try {
+        await updateChatPreferences(chatId, archived ? { archived: true, pinned: null } : { archived: null });
+        
+        console.log('Chat archive updated successfully');
+        return true;
+    } catch (error) {
+        console.error('Error archiving chat:', error);
+        throw error;
+    }
+}
+
+// Mute a chat for one of the MUTE_DURATIONS (-1 = until unmuted), or unmute it with 0
+export async function setChatMuted(chatId, duration) {
+    try {
+        let mutedUntil = null;
+        if (duration === -1) {
+            mutedUntil = -1;
+        } else if (duration > 0) {
+            mutedUntil = Date.now() + duration;
+        }
+        
+        await updateChatPreferences(chatId, { mutedUntil });
+        
+        console.log('Chat mute updated successfully');
+        return true;
+    } catch (error) {
+        console.error('Error muting chat:', error);
+        throw error;
+    }
+}
+
+// Delete message
+export async function deleteMessage(chatId, messageId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const messageRef = ref(database, `messages/${chatId}/${messageId}`);
+        
+        // Check if message exists and user is the sender
+        const snapshot = await get(messageRef);
+        if (!snapshot.exists()) {
+            throw new Error('Message not found');
+        }
+        
+        const message = snapshot.val();
+        if (message.senderId !== currentUserId) {
+            throw new Error('Can only delete your own messages');
+        }
+        
+        // Delete the message
+        await remove(messageRef);
+        
+        if (message.attachment) {
+            await deleteMessageAttachment(message.attachment);
+        }
+        
+        // Keep the chat list preview in sync
+        await refreshLastMessagePreview(chatId, messageId);
+        
+        console.log('Message deleted successfully');
+        return true;
+    } catch (error) {
+        console.error('Error deleting message:', error);
+        throw error;
+    }
+}
+
+// Remove a message's file from storage; the message itself is already gone, so failures are only logged
+async function deleteMessageAttachment(attachment) {
+    try {
+        await deleteImage(attachment.path);
+    } catch (error) {
+        console.error('Error deleting message attachment:', error);
+    }
+}
+
+// Storage rules only see the participants stamped on each attachment, so they are
+// re-stamped whenever a group's members change
+async function syncChatAttachmentAccess(chatId, participantIds, removedIds = []) {
+    try {
+        const attachments = await getChatAttachments(chatId);
+        await updateChatAttachmentAccess(attachments.map(attachment => attachment.path), participantIds, removedIds);
+    } catch (error) {
+        console.error('Error updating chat attachment access:', error);
+    }
+}
+
+// Attachments of every message in a chat
+async function getChatAttachments(chatId) {
+    const snapshot = await get(ref(database, `messages/${chatId}`));
+    const attachments = [];
+    snapshot.forEach(childSnapshot => {
+        if (childSnapshot.val().attachment?.path) {
+            attachments.push(childSnapshot.val().attachment);
+        }
+    });
+    return attachments;
+}
+
+// React to a message; reacting again with the same emoji removes the reaction (one reaction per person)
+export async function toggleMessageReaction(chatId, messageId, emoji) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const reactionRef = ref(database, `messages/${chatId}/${messageId}/reactions/${currentUserId}`);
+        const snapshot = await get(reactionRef);
+        
+        if (snapshot.val() === emoji) {
+            await remove(reactionRef);
+            return null;
+        }
+        
+        await set(reactionRef, emoji);
+        return emoji;
+    } catch (error) {
+        console.error('Error reacting to message:', error);
+        throw error;
+    }
+}
+
+// Aggregate a message's reactions map ({ uid: emoji }) into [{ emoji, count, userIds, reactedByMe }], most used first
+export function getReactionSummary(reactions = {}) {
+    const currentUserId = getCurrentUserId();
+    const byEmoji = {};
+    
+    Object.entries(reactions).forEach(([uid, emoji]) => {
+        if (!byEmoji[emoji]) {
+            byEmoji[emoji] = { emoji, count: 0, userIds: [], reactedByMe: false };
+        }
+        
+        byEmoji[emoji].count++;
+        byEmoji[emoji].userIds.push(uid);
+        if (uid === currentUserId) {
+            byEmoji[emoji].reactedByMe = true;
+        }
+    });
+    
+    return Object.values(byEmoji).sort((a, b) => b.count - a.count);
+}
+
+// Set the current user's typing state in a chat
+export async function setTypingStatus(chatId, isTyping) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return;
+        }
+        
+        const typingRef = ref(database, `typing/${chatId}/${currentUserId}`);
+        
+        if (isTyping) {
+            await set(typingRef, {
+                isTyping: true,
+                timestamp: serverTimestamp()
+            });
+            
+            // Clear the typing state if the user disconnects mid-sentence
+            await onDisconnect(typingRef).remove();
+        } else {
+            await remove(typingRef);
+            await onDisconnect(typingRef).cancel();
+        }
+    } catch (error) {
+        console.error('Error setting typing status:', error);
+    }
+}
+
+// Listen to the other participants typing in a chat
+export function listenToTypingStatus(chatId, callback) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        return () => {};
+    }
+    
+    const typingRef = ref(database, `typing/${chatId}`);
+    
+    const unsubscribe = onValue(typingRef, (snapshot) => {
+        if (snapshot.exists()) {
+            const typingUserIds = Object.keys(snapshot.val()).filter(uid => uid !== currentUserId);
+            callback(typingUserIds);
+        } else {
+            callback([]);
+        }
+    });
+    
+    return unsubscribe;
+}
+
+// Text shown for a message in chat list previews
+export function getMessagePreview(message) {
+    if (message.deleted) {
+        return 'This message was deleted';
+    }
+    
+    // Previews are stored in the database, so they never include encrypted text
+    if (message.encrypted) {
+        if (message.type === MESSAGE_TYPES.IMAGE) return '📷 Photo';
+        if (!message.type) return '🔒 Encrypted message';
+    }
+    
+    if (message.type === MESSAGE_TYPES.IMAGE) {
+        return message.text ? `📷 ${message.text}` : '📷 Photo';
+    }
+    
+    if (message.type === MESSAGE_TYPES.FILE) {
+        return `📎 ${message.attachment?.name || 'File'}`;
+    }
+    
+    if (message.type === MESSAGE_TYPES.VOICE) {
+        return `🎤 Voice message (${formatDuration(message.voice?.duration)})`;
+    }
+    
+    if (message.type === MESSAGE_TYPES.CALL) {
+        return formatCallSummary(message.call);
+    }
+    
+    return message.text;
+}
+
+// "Video call · 2:05", "Missed voice call", ...
+export function formatCallSummary(call = {}) {
+    const kind = call.callType === 'video' ? 'video call' : 'voice call';
+    const icon = call.callType === 'video' ? '📹' : '📞';
+    
+    if (call.status === 'completed') {
+        return `${icon} ${kind.charAt(0).toUpperCase() + kind.slice(1)} · ${formatDuration(call.duration)}`;
+    }
+    
+    if (call.status === 'declined') {
+        return `${icon} Declined ${kind}`;
+    }
+    
+    return `${icon} Missed ${kind}`;
+}
+
+// Seconds as m:ss
+export function formatDuration(totalSeconds = 0) {
+    const rounded = Math.round(totalSeconds || 0);
+    return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+// Rewrite chats/$chatId/lastMessage and every participant's preview if messageId was the last message
+async function refreshLastMessagePreview(chatId, messageId) {
+    const chatSnapshot = await get(ref(database, `chats/${chatId}`));
+    if (!chatSnapshot.exists()) return;
+    
+    const chat = chatSnapshot.val();
+    if (chat.lastMessage?.messageId !== messageId) return;
+    
+    // Newest remaining message
+    const lastMessageQuery = query(ref(database, `messages/${chatId}`), limitToLast(1));
+    const lastMessageSnapshot = await get(lastMessageQuery);
+    
+    let lastMessage = null;
+    lastMessageSnapshot.forEach(childSnapshot => {
+        lastMessage = { id: childSnapshot.key, ...childSnapshot.val() };
+    });
+    
+    const previewText = lastMessage ? getMessagePreview(lastMessage) : '';
+    const updates = {
+        [`chats/${chatId}/lastMessage`]: lastMessage ? {
+            messageId: lastMessage.id,
+            text: previewText,
+            senderId: lastMessage.senderId,
+            timestamp: lastMessage.timestamp
+        } : null
+    };
+    
+    // Receipts are stamped on lastMessageKey, so it has to follow the newest message that still exists
+    Object.keys(chat.participants || {}).forEach(uid => {
+        updates[`userChats/${uid}/${chatId}/lastMessage`] = previewText;
+        updates[`userChats/${uid}/${chatId}/lastMessageKey`] = lastMessage ? lastMessage.id : null;
+        updates[`userChats/${uid}/${chatId}/lastMessageSenderId`] = lastMessage ? lastMessage.senderId : null;
+    });
+    
+    await update(ref(database), updates);
+}
+
+// Edit one of the current user's messages, keeping earlier versions
+export async function editMessage(chatId, messageId, newText) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const text = newText.trim();
+        if (!text) {
+            throw new Error('Message cannot be empty');
+        }
+        
+        const messageRef = ref(database, `messages/${chatId}/${messageId}`);
+        
+        // Check if message exists and user is the sender
+        const snapshot = await get(messageRef);
+        if (!snapshot.exists()) {
+            throw new Error('Message not found');
+        }
+        
+        const storedMessage = snapshot.val();
+        const message = await decryptMessage(chatId, { id: messageId, ...storedMessage });
+        if (message.senderId !== currentUserId) {
+            throw new Error('Can only edit your own messages');
+        }
+        
+        if (message.decryptionFailed) {
+            throw new Error('This message cannot be decrypted in this browser');
+        }
+        
+        // Only plain text messages can be edited
+        if (message.deleted || message.type) {
+            throw new Error('This message cannot be edited');
+        }
+        
+        if (message.text === text) {
+            return false;
+        }
+        
+        // Store the previous version in the edit history
+        const historyKey = push(ref(database, `messages/${chatId}/${messageId}/editHistory`)).key;
+        
+        // Encrypted messages stay encrypted, including their history, under the keys stored on the message
+        if (message.encrypted) {
+            const key = await getMessageKey(chatId, storedMessage);
+            
+            await update(messageRef, {
+                ...(await encryptText(key, text)),
+                editedAt: serverTimestamp(),
+                [`editHistory/${historyKey}`]: {
+                    ciphertext: storedMessage.ciphertext,
+                    iv: storedMessage.iv,
+                    editedAt: message.editedAt || message.timestamp
+                }
+            });
+        } else {
+            await update(messageRef, {
+                text: text,
+                editedAt: serverTimestamp(),
+                [`editHistory/${historyKey}`]: {
+                    text: message.text,
+                    editedAt: message.editedAt || message.timestamp
+                }
+            });
+        }
+        
+        await refreshLastMessagePreview(chatId, messageId);
+        
+        console.log('Message edited successfully');
+        return true;
+    } catch (error) {
+        console.error('Error editing message:', error);
+        throw error;
+    }
+}
 
-// Generate chat ID for two users (consistent ordering)
-function generateChatId(userId1, userId2) {
-    return userId1 < userId2 ? `${userId1}_${userId2}` : `${userId2}_${userId1}`;
+// Unsend a message for everyone, leaving a tombstone in its place
+export async function unsendMessage(chatId, messageId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const messageRef = ref(database, `messages/${chatId}/${messageId}`);
+        
+        // Check if message exists and user is the sender
+        const snapshot = await get(messageRef);
+        if (!snapshot.exists()) {
+            throw new Error('Message not found');
+        }
+        
+        const message = snapshot.val();
+        if (message.senderId !== currentUserId) {
+            throw new Error('Can only unsend your own messages');
+        }
+        
+        if (message.deleted) {
+            return false;
+        }
+        
+        // Drop the content and history, keep sender and time for ordering
+        await update(messageRef, {
+            text: '',
+            deleted: true,
+            deletedAt: serverTimestamp(),
+            editedAt: null,
+            editHistory: null,
+            attachment: null,
+            ciphertext: null,
+            iv: null,
+            replyTo: null,
+            voice: null
+        });
+        
+        if (message.attachment) {
+            await deleteMessageAttachment(message.attachment);
+        }
+        
+        await refreshLastMessagePreview(chatId, messageId);
+        
+        console.log('Message unsent successfully');
+        return true;
+    } catch (error) {
+        console.error('Error unsending message:', error);
+        throw error;
+    }
 }
 
-// Send message
-export async function sendMessage(recipientId, messageText) {
+// Start chat with friend
+export async function startChatWithFriend(friendId) {
     try {
         const currentUserId = getCurrentUserId();
         if (!currentUserId) {
@@ -33,454 +1653,857 @@ export async function sendMessage(recipientId, messageText) {
         }
         
         // Check if users are friends
-        const isFriend = await areFriends(currentUserId, recipientId);
+        const isFriend = await areFriends(currentUserId, friendId);
         if (!isFriend) {
-            throw new Error('Can only send messages to friends');
+            throw new Error('Can only chat with friends');
         }
         
-        const chatId = generateChatId(currentUserId, recipientId);
-        const messagesRef = ref(database, `messages/${chatId}`);
+        const chatId = generateChatId(currentUserId, friendId);
         
-        const messageData = {
-            senderId: currentUserId,
-            recipientId: recipientId,
-            text: messageText,
-            timestamp: serverTimestamp(),
-            read: false
-        };
+        // Initialize chat metadata if it doesn't exist
+        const chatMetaRef = ref(database, `chats/${chatId}`);
+        const chatSnapshot = await get(chatMetaRef);
         
-        // Add message to chat
-        const newMessageRef = push(messagesRef);
-        await set(newMessageRef, messageData);
+        if (!chatSnapshot.exists()) {
+            await set(chatMetaRef, {
+                type: CHAT_TYPES.DIRECT,
+                participants: {
+                    [currentUserId]: true,
+                    [friendId]: true
+                },
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+        }
         
-        // Update chat metadata
-        const chatMetaRef = ref(database, `chats/${chatId}`);
-        await set(chatMetaRef, {
-            participants: [currentUserId, recipientId],
-            lastMessage: {
-                text: messageText,
-                senderId: currentUserId,
-                timestamp: serverTimestamp()
-            },
-            updatedAt: serverTimestamp()
+        // Initialize user chat entries (unread counts are left untouched)
+        await update(ref(database), {
+            [`userChats/${currentUserId}/${chatId}/type`]: CHAT_TYPES.DIRECT,
+            [`userChats/${currentUserId}/${chatId}/otherUserId`]: friendId,
+            [`userChats/${friendId}/${chatId}/type`]: CHAT_TYPES.DIRECT,
+            [`userChats/${friendId}/${chatId}/otherUserId`]: currentUserId
         });
         
-        // Update last message for both users
-        await update(ref(database, `userChats/${currentUserId}/${chatId}`), {
-            lastMessage: messageText,
-            lastMessageTime: serverTimestamp(),
-            otherUserId: recipientId
-        });
+        console.log('Chat initialized successfully');
+        return chatId;
+    } catch (error) {
+        console.error('Error starting chat:', error);
+        throw error;
+    }
+}
+
+// Send one message to someone who isn't a friend. It waits in their Requests list, and nothing
+// more can be sent until they accept it. Friends simply get a normal message.
+export async function sendMessageRequest(username, messageText) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const text = messageText.trim();
+        if (!text) {
+            throw new Error('Message cannot be empty');
+        }
+        
+        const recipientId = await getUserIdByUsername(username);
+        if (!recipientId) {
+            throw new Error('User not found');
+        }
+        
+        if (recipientId === currentUserId) {
+            throw new Error('Cannot send a message request to yourself');
+        }
+        
+        if (await areFriends(currentUserId, recipientId)) {
+            const friendChatId = await startChatWithFriend(recipientId);
+            await sendMessage(friendChatId, text);
+            return friendChatId;
+        }
+        
+        const recipient = await getUserProfile(recipientId);
+        if (!recipient || recipient.allowMessageRequests === false) {
+            throw new Error("This user isn't accepting message requests");
+        }
+        
+        const chatId = generateChatId(currentUserId, recipientId);
+        const chatRef = ref(database, `chats/${chatId}`);
+        const chatSnapshot = await get(chatRef);
+        let chat = chatSnapshot.val();
+        
+        // Only an ignored request from the other person can be answered with a new request
+        const existingRequest = chat?.request;
+        if (existingRequest?.status === MESSAGE_REQUEST_STATUS.ACCEPTED) {
+            throw new Error('You can already message this user from your chat list');
+        }
+        if (existingRequest?.from === currentUserId) {
+            throw new Error('You already sent this user a message request');
+        }
+        if (existingRequest?.status === MESSAGE_REQUEST_STATUS.PENDING) {
+            throw new Error('This user already sent you a message request. You can find it under Message requests');
+        }
+        
+        // The rules let the sender write only this message until the request is accepted
+        const messageId = createMessageId(chatId);
+        const request = {
+            from: currentUserId,
+            to: recipientId,
+            status: MESSAGE_REQUEST_STATUS.PENDING,
+            messageId: messageId,
+            createdAt: serverTimestamp()
+        };
         
-        await update(ref(database, `userChats/${recipientId}/${chatId}`), {
-            lastMessage: messageText,
-            lastMessageTime: serverTimestamp(),
-            otherUserId: currentUserId,
-            unreadCount: (await getUnreadCount(recipientId, chatId)) + 1
+        // The rules also refuse requests from users the recipient blocked; the sender isn't told why
+        try {
+            if (chat) {
+                await set(ref(database, `chats/${chatId}/request`), request);
+                chat = { ...chat, request };
+            } else {
+                chat = {
+                    type: CHAT_TYPES.DIRECT,
+                    participants: {
+                        [currentUserId]: true,
+                        [recipientId]: true
+                    },
+                    request: request,
+                    createdAt: serverTimestamp(),
+                    updatedAt: serverTimestamp()
+                };
+                await set(chatRef, chat);
+            }
+        } catch (error) {
+            if (error.code === 'PERMISSION_DENIED') {
+                throw new Error("Couldn't send the message request");
+            }
+            throw error;
+        }
+        
+        // The request flag keeps the chat in the recipient's Requests list until they answer
+        await update(ref(database), {
+            [`userChats/${currentUserId}/${chatId}/type`]: CHAT_TYPES.DIRECT,
+            [`userChats/${currentUserId}/${chatId}/otherUserId`]: recipientId,
+            [`userChats/${recipientId}/${chatId}/type`]: CHAT_TYPES.DIRECT,
+            [`userChats/${recipientId}/${chatId}/otherUserId`]: currentUserId,
+            [`userChats/${recipientId}/${chatId}/request`]: true
         });
         
-        // Add notification for recipient
+        await deliverMessage(chatId, chat, currentUserId, { text }, { notify: false, messageId });
+        
         const senderProfile = await getUserProfile(currentUserId);
         await addNotification(recipientId, {
-            type: 'new_message',
+            type: 'message_request',
             from: currentUserId,
-            message: `${senderProfile.displayName} sent you a message`,
+            message: `${senderProfile.displayName} sent you a message request`,
             timestamp: Date.now(),
             chatId: chatId
         });
         
-        console.log('Message sent successfully');
-        return newMessageRef.key;
+        console.log('Message request sent successfully');
+        return chatId;
+    } catch (error) {
+        console.error('Error sending message request:', error);
+        throw error;
+    }
+}
+
+// Check that a chat holds a pending message request addressed to the current user
+async function getIncomingMessageRequest(chatId, currentUserId) {
+    const chat = await getParticipatingChat(chatId, currentUserId);
+    
+    if (chat.request?.to !== currentUserId || chat.request.status !== MESSAGE_REQUEST_STATUS.PENDING) {
+        throw new Error('Message request not found');
+    }
+    
+    return chat;
+}
+
+// Accept a message request: the chat moves to the normal chat list and both people can write
+export async function acceptMessageRequest(chatId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        await getIncomingMessageRequest(chatId, currentUserId);
+        
+        await update(ref(database), {
+            [`chats/${chatId}/request/status`]: MESSAGE_REQUEST_STATUS.ACCEPTED,
+            [`chats/${chatId}/request/respondedAt`]: serverTimestamp(),
+            [`userChats/${currentUserId}/${chatId}/request`]: null
+        });
+        
+        await markMessagesAsRead(chatId);
+        
+        console.log('Message request accepted successfully');
+        return true;
+    } catch (error) {
+        console.error('Error accepting message request:', error);
+        throw error;
+    }
+}
+
+// Ignore a message request: it leaves the Requests list and the sender can't write again.
+// The sender isn't told; their request just never gets accepted.
+export async function ignoreMessageRequest(chatId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        await getIncomingMessageRequest(chatId, currentUserId);
+        
+        await update(ref(database), {
+            [`chats/${chatId}/request/status`]: MESSAGE_REQUEST_STATUS.IGNORED,
+            [`chats/${chatId}/request/respondedAt`]: serverTimestamp(),
+            [`userChats/${currentUserId}/${chatId}`]: null
+        });
+        
+        console.log('Message request ignored successfully');
+        return true;
+    } catch (error) {
+        console.error('Error ignoring message request:', error);
+        throw error;
+    }
+}
+
+// Ignore a message request and block its sender
+export async function blockMessageRequest(chatId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const chat = await getIncomingMessageRequest(chatId, currentUserId);
+        
+        await ignoreMessageRequest(chatId);
+        await blockUser(chat.request.from);
+        
+        console.log('Message request blocked successfully');
+        return true;
+    } catch (error) {
+        console.error('Error blocking message request:', error);
+        throw error;
+    }
+}
+
+// Listen to a direct chat's message request (null when it never had one)
+export function listenToMessageRequest(chatId, callback) {
+    const requestRef = ref(database, `chats/${chatId}/request`);
+    
+    const unsubscribe = onValue(requestRef, (snapshot) => {
+        callback(snapshot.val());
+    });
+    
+    return unsubscribe;
+}
+
+// Turn end-to-end encryption on or off for a direct chat; turning it on needs both people's public keys
+export async function setChatEncryption(chatId, enabled) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        if (chat.type === CHAT_TYPES.GROUP) {
+            throw new Error('Encryption is only available in direct chats');
+        }
+        
+        if (!!chat.encryption?.enabled === enabled) {
+            return false;
+        }
+        
+        // Fails early if either side has no keys
+        if (enabled) {
+            await getMessageEncryption(chatId);
+        }
+        
+        await set(ref(database, `chats/${chatId}/encryption`), {
+            enabled: enabled,
+            updatedBy: currentUserId,
+            updatedAt: serverTimestamp()
+        });
+        
+        const profile = await getUserProfile(currentUserId);
+        await postSystemMessage(chatId, enabled
+            ? `${profile.displayName} turned on end-to-end encryption`
+            : `${profile.displayName} turned off end-to-end encryption`);
+        
+        console.log('Chat encryption updated successfully');
+        return true;
+    } catch (error) {
+        console.error('Error updating chat encryption:', error);
+        throw error;
+    }
+}
+
+// Set how long new messages in a chat last before disappearing (0 turns it off); any participant can change it
+export async function setDisappearingMessages(chatId, duration) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const option = DISAPPEARING_MESSAGE_OPTIONS.find(item => item.duration === duration);
+        if (!option) {
+            throw new Error('Invalid disappearing message timer');
+        }
+        
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        if ((chat.disappearing?.duration || 0) === duration) {
+            return false;
+        }
+        
+        await set(ref(database, `chats/${chatId}/disappearing`), {
+            duration: duration,
+            updatedBy: currentUserId,
+            updatedAt: serverTimestamp()
+        });
+        
+        const profile = await getUserProfile(currentUserId);
+        await postSystemMessage(chatId, duration > 0
+            ? `${profile.displayName} set disappearing messages to ${option.label}`
+            : `${profile.displayName} turned off disappearing messages`);
+        
+        console.log('Disappearing messages updated successfully');
+        return true;
+    } catch (error) {
+        console.error('Error updating disappearing messages:', error);
+        throw error;
+    }
+}
+
+// Listen to a chat's disappearing message timer (milliseconds, 0 when off)
+export function listenToDisappearingMessages(chatId, callback) {
+    const disappearingRef = ref(database, `chats/${chatId}/disappearing`);
+    
+    const unsubscribe = onValue(disappearingRef, (snapshot) => {
+        callback(snapshot.val()?.duration || 0);
+    });
+    
+    return unsubscribe;
+}
+
+// Listen to whether a chat is end-to-end encrypted
+export function listenToChatEncryption(chatId, callback) {
+    const encryptionRef = ref(database, `chats/${chatId}/encryption`);
+    
+    const unsubscribe = onValue(encryptionRef, (snapshot) => {
+        callback(!!snapshot.val()?.enabled);
+    });
+    
+    return unsubscribe;
+}
+
+// Safety number and verification state for the other person in a direct chat
+export async function getChatSafetyInfo(chatId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        const contactId = Object.keys(chat.participants).find(uid => uid !== currentUserId);
+        const contactPublicKey = await getUserPublicKey(contactId);
+        
+        if (!contactPublicKey) {
+            return { contactId, safetyNumber: null, verified: false };
+        }
+        
+        return {
+            contactId,
+            safetyNumber: await getSafetyNumber(contactId, contactPublicKey),
+            verified: await isContactVerified(contactId, contactPublicKey)
+        };
+    } catch (error) {
+        console.error('Error getting safety number:', error);
+        throw error;
+    }
+}
+
+// Mark the other person's current key as verified (or not) after comparing safety numbers
+export async function setChatContactVerified(chatId, verified) {
+    try {
+        const currentUserId = getCurrentUserId();
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        const contactId = Object.keys(chat.participants).find(uid => uid !== currentUserId);
+        const contactPublicKey = await getUserPublicKey(contactId);
+        
+        if (!contactPublicKey) {
+            throw new Error('Your friend has not set up encryption yet');
+        }
+        
+        await setContactVerified(contactId, contactPublicKey, verified);
+        return true;
+    } catch (error) {
+        console.error('Error updating contact verification:', error);
+        throw error;
+    }
+}
+
+// Search messages in chat
+export async function searchMessagesInChat(chatId, searchTerm) {
+    try {
+        const messages = await getChatMessages(chatId, 1000); // Get more messages for search
+        
+        const filteredMessages = messages.filter(message => 
+            message.text.toLowerCase().includes(searchTerm.toLowerCase())
+        );
+        
+        return filteredMessages;
     } catch (error) {
-        console.error('Error sending message:', error);
-        throw error;
+        console.error('Error searching messages:', error);
+        return [];
     }
 }
 
-// Get chat messages
-export async function getChatMessages(otherUserId, limit = 50) {
+// Get chat statistics over the whole history; onProgress gets the number of messages fetched so far.
+// Times are bucketed in the local time zone.
+export async function getChatStatistics(chatId, onProgress) {
     try {
+        const messages = (await getAllChatMessages(chatId, onProgress))
+            .filter(message => message.type !== MESSAGE_TYPES.SYSTEM && message.timestamp);
         const currentUserId = getCurrentUserId();
-        if (!currentUserId) {
-            return [];
-        }
-        
-        const chatId = generateChatId(currentUserId, otherUserId);
-        const messagesRef = ref(database, `messages/${chatId}`);
-        const messagesQuery = query(messagesRef, limitToLast(limit));
-        
-        const snapshot = await get(messagesQuery);
         
-        if (!snapshot.exists()) {
-            return [];
-        }
+        const stats = {
+            totalMessages: messages.length,
+            messagesSent: messages.filter(m => m.senderId === currentUserId).length,
+            messagesReceived: messages.filter(m => m.senderId !== currentUserId).length,
+            firstMessageDate: messages.length > 0 ? messages[0].timestamp : null,
+            lastMessageDate: messages.length > 0 ? messages[messages.length - 1].timestamp : null,
+            messagesPerDay: getMessagesPerDay(messages),
+            // [day of week (0 = Sunday)][hour] -> message count
+            busiestHours: Array.from({ length: 7 }, () => new Array(24).fill(0)),
+            // uid -> { messages, conversationsStarted, averageReplyTime (ms, null without replies) }
+            participants: {},
+            conversations: 0,
+            topWords: [],
+            topEmojis: []
+        };
         
-        const messages = snapshot.val();
-        const messagesList = [];
+        const replyTimes = {};
+        const wordCounts = new Map();
+        const emojiCounts = new Map();
+        let previous = null;
         
-        Object.keys(messages).forEach(messageId => {
-            messagesList.push({
-                id: messageId,
-                ...messages[messageId]
-            });
+        messages.forEach(message => {
+            const participant = stats.participants[message.senderId] ||
+                (stats.participants[message.senderId] = { messages: 0, conversationsStarted: 0, averageReplyTime: null });
+            participant.messages++;
+            
+            const date = new Date(message.timestamp);
+            stats.busiestHours[date.getDay()][date.getHours()]++;
+            
+            // A message after a long silence starts a new conversation; a change of sender within one is a reply
+            const gap = previous ? message.timestamp - previous.timestamp : Infinity;
+            if (gap >= CONVERSATION_GAP) {
+                participant.conversationsStarted++;
+                stats.conversations++;
+            } else if (message.senderId !== previous.senderId) {
+                (replyTimes[message.senderId] = replyTimes[message.senderId] || []).push(gap);
+            }
+            previous = message;
+            
+            if (!message.deleted && message.text) {
+                countWords(message.text, wordCounts, emojiCounts);
+            }
         });
         
-        // Sort by timestamp
-        messagesList.sort((a, b) => {
-            const timeA = a.timestamp || 0;
-            const timeB = b.timestamp || 0;
-            return timeA - timeB;
+        Object.keys(replyTimes).forEach(uid => {
+            const times = replyTimes[uid];
+            stats.participants[uid].averageReplyTime = Math.round(times.reduce((sum, time) => sum + time, 0) / times.length);
         });
         
-        return messagesList;
+        stats.topWords = getTopEntries(wordCounts, 'word');
+        stats.topEmojis = getTopEntries(emojiCounts, 'emoji');
+        
+        return stats;
     } catch (error) {
-        console.error('Error getting chat messages:', error);
-        return [];
+        console.error('Error getting chat statistics:', error);
+        return null;
     }
 }
 
-// Listen to chat messages
-export function listenToChatMessages(otherUserId, callback, limit = 50) {
-    const currentUserId = getCurrentUserId();
-    if (!currentUserId) {
-        return () => {};
-    }
+// Local calendar day as YYYY-MM-DD
+function getLocalDateKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// [{ date, count }] for every day from the first message to the last, quiet days included
+function getMessagesPerDay(messages) {
+    if (messages.length === 0) return [];
     
-    const chatId = generateChatId(currentUserId, otherUserId);
-    const messagesRef = ref(database, `messages/${chatId}`);
-    const messagesQuery = query(messagesRef, limitToLast(limit));
+    const counts = new Map();
+    messages.forEach(message => {
+        const key = getLocalDateKey(message.timestamp);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
     
-    const unsubscribe = onValue(messagesQuery, (snapshot) => {
-        if (snapshot.exists()) {
-            const messages = snapshot.val();
-            const messagesList = [];
-            
-            Object.keys(messages).forEach(messageId => {
-                messagesList.push({
-                    id: messageId,
-                    ...messages[messageId]
-                });
-            });
-            
-            // Sort by timestamp
-            messagesList.sort((a, b) => {
-                const timeA = a.timestamp || 0;
-                const timeB = b.timestamp || 0;
-                return timeA - timeB;
-            });
-            
-            callback(messagesList);
-        } else {
-            callback([]);
-        }
+    const days = [];
+    const day = new Date(messages[0].timestamp);
+    day.setHours(0, 0, 0, 0);
+    const lastKey = getLocalDateKey(messages[messages.length - 1].timestamp);
+    
+    let key = getLocalDateKey(day.getTime());
+    while (key <= lastKey) {
+        days.push({ date: key, count: counts.get(key) || 0 });
+        day.setDate(day.getDate() + 1);
+        key = getLocalDateKey(day.getTime());
+    }
+    
+    return days;
+}
+
+function countWords(text, wordCounts, emojiCounts) {
+    (text.match(/\p{Extended_Pictographic}/gu) || []).forEach(emoji => {
+        emojiCounts.set(emoji, (emojiCounts.get(emoji) || 0) + 1);
     });
     
-    return unsubscribe;
+    text.toLowerCase().split(/[^\p{L}\p{N}']+/u).forEach(word => {
+        const cleaned = word.replace(/^'+|'+$/g, '');
+        if (cleaned.length < MIN_INSIGHT_WORD_LENGTH || INSIGHT_STOP_WORDS.has(cleaned)) return;
+        
+        wordCounts.set(cleaned, (wordCounts.get(cleaned) || 0) + 1);
+    });
 }
 
-// Mark messages as read
-export async function markMessagesAsRead(otherUserId) {
+function getTopEntries(counts, name) {
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_INSIGHT_ENTRIES)
+        .map(([value, count]) => ({ [name]: value, count }));
+}
+
+// Create a group chat with friends
+export async function createGroupChat(name, memberIds, avatarFile = null) {
     try {
         const currentUserId = getCurrentUserId();
         if (!currentUserId) {
-            return;
+            throw new Error('User not authenticated');
         }
         
-        const chatId = generateChatId(currentUserId, otherUserId);
+        const groupName = name.trim();
+        if (!groupName) {
+            throw new Error('Group name is required');
+        }
         
-        // Reset unread count for current user
-        await update(ref(database, `userChats/${currentUserId}/${chatId}`), {
-            unreadCount: 0
-        });
+        const uniqueMemberIds = [...new Set(memberIds)].filter(uid => uid !== currentUserId);
+        if (uniqueMemberIds.length < 2) {
+            throw new Error('A group needs at least two other members');
+        }
         
-        // Mark individual messages as read
-        const messagesRef = ref(database, `messages/${chatId}`);
-        const snapshot = await get(messagesRef);
+        if (uniqueMemberIds.length + 1 > MAX_GROUP_SIZE) {
+            throw new Error(`A group can have at most ${MAX_GROUP_SIZE} members`);
+        }
         
-        if (snapshot.exists()) {
-            const messages = snapshot.val();
-            const updates = {};
-            
-            Object.keys(messages).forEach(messageId => {
-                const message = messages[messageId];
-                if (message.recipientId === currentUserId && !message.read) {
-                    updates[`${messageId}/read`] = true;
-                }
-            });
-            
-            if (Object.keys(updates).length > 0) {
-                await update(messagesRef, updates);
-            }
+        // Only friends can be added to a group
+        const friendChecks = await Promise.all(uniqueMemberIds.map(uid => areFriends(currentUserId, uid)));
+        if (friendChecks.includes(false)) {
+            throw new Error('Can only add friends to a group');
         }
         
-        console.log('Messages marked as read');
+        // Upload avatar if provided
+        let avatarURL = null;
+        if (avatarFile) {
+            avatarURL = (await uploadGroupAvatar(avatarFile)).url;
+        }
+        
+        const chatRef = push(ref(database, 'chats'));
+        const chatId = chatRef.key;
+        
+        const participants = { [currentUserId]: true };
+        uniqueMemberIds.forEach(uid => {
+            participants[uid] = true;
+        });
+        
+        await set(chatRef, {
+            type: CHAT_TYPES.GROUP,
+            name: groupName,
+            avatar: avatarURL,
+            participants: participants,
+            admins: { [currentUserId]: true },
+            createdBy: currentUserId,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+        
+        // Create every member's chat entry
+        const updates = {};
+        Object.keys(participants).forEach(uid => {
+            updates[`userChats/${uid}/${chatId}`] = {
+                type: CHAT_TYPES.GROUP,
+                name: groupName,
+                avatar: avatarURL,
+                unreadCount: 0
+            };
+        });
+        await update(ref(database), updates);
+        
+        const creatorProfile = await getUserProfile(currentUserId);
+        await postSystemMessage(chatId, `${creatorProfile.displayName} created the group "${groupName}"`);
+        
+        await Promise.all(uniqueMemberIds.map(uid => addNotification(uid, {
+            type: 'group_added',
+            from: currentUserId,
+            message: `${creatorProfile.displayName} added you to ${groupName}`,
+            timestamp: Date.now(),
+            chatId: chatId
+        })));
+        
+        console.log('Group chat created successfully');
+        return chatId;
     } catch (error) {
-        console.error('Error marking messages as read:', error);
+        console.error('Error creating group chat:', error);
+        throw error;
     }
 }
 
-// Get user chats
-export async function getUserChats() {
+// Add members to a group chat (admins only)
+export async function addGroupMembers(chatId, memberIds) {
     try {
         const currentUserId = getCurrentUserId();
         if (!currentUserId) {
-            return [];
+            throw new Error('User not authenticated');
         }
         
-        const userChatsRef = ref(database, `userChats/${currentUserId}`);
-        const snapshot = await get(userChatsRef);
+        const chat = await getAdministeredGroup(chatId, currentUserId);
+        const newMemberIds = [...new Set(memberIds)].filter(uid => !chat.participants[uid]);
         
-        if (!snapshot.exists()) {
+        if (newMemberIds.length === 0) {
             return [];
         }
         
-        const chats = snapshot.val();
-        const chatsList = [];
+        if (Object.keys(chat.participants).length + newMemberIds.length > MAX_GROUP_SIZE) {
+            throw new Error(`A group can have at most ${MAX_GROUP_SIZE} members`);
+        }
         
-        for (const chatId in chats) {
-            const chatData = chats[chatId];
-            const otherUserId = chatData.otherUserId;
-            
-            // Get other user's profile
-            const otherUserProfile = await getUserProfile(otherUserId);
-            if (otherUserProfile) {
-                chatsList.push({
-                    chatId,
-                    otherUser: {
-                        uid: otherUserId,
-                        ...otherUserProfile
-                    },
-                    lastMessage: chatData.lastMessage || '',
-                    lastMessageTime: chatData.lastMessageTime || 0,
-                    unreadCount: chatData.unreadCount || 0
-                });
-            }
+        const friendChecks = await Promise.all(newMemberIds.map(uid => areFriends(currentUserId, uid)));
+        if (friendChecks.includes(false)) {
+            throw new Error('Can only add friends to a group');
         }
         
-        // Sort by last message time
-        chatsList.sort((a, b) => {
-            const timeA = a.lastMessageTime || 0;
-            const timeB = b.lastMessageTime || 0;
-            return timeB - timeA;
+        const updates = {};
+        newMemberIds.forEach(uid => {
+            updates[`chats/${chatId}/participants/${uid}`] = true;
+            updates[`userChats/${uid}/${chatId}`] = {
+                type: CHAT_TYPES.GROUP,
+                name: chat.name,
+                avatar: chat.avatar || null,
+                unreadCount: 0
+            };
         });
+        updates[`chats/${chatId}/updatedAt`] = serverTimestamp();
         
-        return chatsList;
-    } catch (error) {
-        console.error('Error getting user chats:', error);
-        return [];
-    }
-}
-
-// Listen to user chats
-export function listenToUserChats(callback) {
-    const currentUserId = getCurrentUserId();
-    if (!currentUserId) {
-        return () => {};
-    }
-    
-    const userChatsRef = ref(database, `userChats/${currentUserId}`);
-    
-    const unsubscribe = onValue(userChatsRef, async (snapshot) => {
-        if (snapshot.exists()) {
-            const chats = snapshot.val();
-            const chatsList = [];
-            
-            for (const chatId in chats) {
-                const chatData = chats[chatId];
-                const otherUserId = chatData.otherUserId;
-                
-                // Get other user's profile
-                const otherUserProfile = await getUserProfile(otherUserId);
-                if (otherUserProfile) {
-                    chatsList.push({
-                        chatId,
-                        otherUser: {
-                            uid: otherUserId,
-                            ...otherUserProfile
-                        },
-                        lastMessage: chatData.lastMessage || '',
-                        lastMessageTime: chatData.lastMessageTime || 0,
-                        unreadCount: chatData.unreadCount || 0
-                    });
-                }
-            }
-            
-            // Sort by last message time
-            chatsList.sort((a, b) => {
-                const timeA = a.lastMessageTime || 0;
-                const timeB = b.lastMessageTime || 0;
-                return timeB - timeA;
-            });
-            
-            callback(chatsList);
-        } else {
-            callback([]);
-        }
-    });
-    
-    return unsubscribe;
-}
-
-// Get unread count for a chat
-async function getUnreadCount(userId, chatId) {
-    try {
-        const userChatRef = ref(database, `userChats/${userId}/${chatId}`);
-        const snapshot = await get(userChatRef);
+        await update(ref(database), updates);
+        await syncChatAttachmentAccess(chatId, [...Object.keys(chat.participants), ...newMemberIds]);
         
-        if (snapshot.exists()) {
-            return snapshot.val().unreadCount || 0;
-        }
+        const adminProfile = await getUserProfile(currentUserId);
+        const newMemberProfiles = await Promise.all(newMemberIds.map(uid => getUserProfile(uid)));
+        const newMemberNames = newMemberProfiles.map(profile => profile?.displayName || 'Someone').join(', ');
+        await postSystemMessage(chatId, `${adminProfile.displayName} added ${newMemberNames}`);
         
-        return 0;
+        await Promise.all(newMemberIds.map(uid => addNotification(uid, {
+            type: 'group_added',
+            from: currentUserId,
+            message: `${adminProfile.displayName} added you to ${chat.name}`,
+            timestamp: Date.now(),
+            chatId: chatId
+        })));
+        
+        console.log('Group members added successfully');
+        return newMemberIds;
     } catch (error) {
-        console.error('Error getting unread count:', error);
-        return 0;
+        console.error('Error adding group members:', error);
+        throw error;
     }
 }
 
-// Get total unread messages count
-export async function getTotalUnreadCount() {
+// Remove a member from a group chat (admins only)
+export async function removeGroupMember(chatId, memberId) {
     try {
         const currentUserId = getCurrentUserId();
         if (!currentUserId) {
-            return 0;
+            throw new Error('User not authenticated');
         }
         
-        const userChatsRef = ref(database, `userChats/${currentUserId}`);
-        const snapshot = await get(userChatsRef);
-        
-        if (!snapshot.exists()) {
-            return 0;
+        if (memberId === currentUserId) {
+            throw new Error('Use leaveGroup to leave a group');
         }
         
-        const chats = snapshot.val();
-        let totalUnread = 0;
+        const chat = await getAdministeredGroup(chatId, currentUserId);
+        if (!chat.participants[memberId]) {
+            throw new Error('User is not a member of this group');
+        }
         
-        Object.values(chats).forEach(chat => {
-            totalUnread += chat.unreadCount || 0;
+        await update(ref(database), {
+            [`chats/${chatId}/participants/${memberId}`]: null,
+            [`chats/${chatId}/admins/${memberId}`]: null,
+            [`chats/${chatId}/updatedAt`]: serverTimestamp(),
+            [`userChats/${memberId}/${chatId}`]: null
         });
+        await syncChatAttachmentAccess(chatId,
+            Object.keys(chat.participants).filter(uid => uid !== memberId), [memberId]);
+        
+        const [adminProfile, memberProfile] = await Promise.all([
+            getUserProfile(currentUserId),
+            getUserProfile(memberId)
+        ]);
+        await postSystemMessage(chatId, `${adminProfile.displayName} removed ${memberProfile?.displayName || 'a member'}`);
         
-        return totalUnread;
+        console.log('Group member removed successfully');
+        return true;
     } catch (error) {
-        console.error('Error getting total unread count:', error);
-        return 0;
+        console.error('Error removing group member:', error);
+        throw error;
     }
 }
 
-// Delete message
-export async function deleteMessage(otherUserId, messageId) {
+// Leave a group chat
+export async function leaveGroup(chatId) {
     try {
         const currentUserId = getCurrentUserId();
         if (!currentUserId) {
             throw new Error('User not authenticated');
         }
         
-        const chatId = generateChatId(currentUserId, otherUserId);
-        const messageRef = ref(database, `messages/${chatId}/${messageId}`);
+        const chat = await getParticipatingChat(chatId, currentUserId);
+        if (chat.type !== CHAT_TYPES.GROUP) {
+            throw new Error('Chat is not a group');
+        }
         
-        // Check if message exists and user is the sender
-        const snapshot = await get(messageRef);
-        if (!snapshot.exists()) {
-            throw new Error('Message not found');
+        const remainingMemberIds = Object.keys(chat.participants).filter(uid => uid !== currentUserId);
+        
+        // A chat cannot be left without participants, so the last member deletes the group instead
+        if (remainingMemberIds.length === 0) {
+            return await deleteLastMemberGroup(chatId, chat, currentUserId);
         }
         
-        const message = snapshot.val();
-        if (message.senderId !== currentUserId) {
-            throw new Error('Can only delete your own messages');
+        // Post the notice while still a participant
+        const userProfile = await getUserProfile(currentUserId);
+        await postSystemMessage(chatId, `${userProfile.displayName} left the group`);
+        
+        const updates = {
+            [`chats/${chatId}/participants/${currentUserId}`]: null,
+            [`chats/${chatId}/admins/${currentUserId}`]: null,
+            [`chats/${chatId}/updatedAt`]: serverTimestamp(),
+            [`userChats/${currentUserId}/${chatId}`]: null
+        };
+        
+        // Hand admin rights over if the last admin leaves
+        const remainingAdminIds = Object.keys(chat.admins || {}).filter(uid => uid !== currentUserId);
+        
+        if (remainingAdminIds.length === 0 && remainingMemberIds.length > 0) {
+            updates[`chats/${chatId}/admins/${remainingMemberIds[0]}`] = true;
         }
         
-        // Delete the message
-        await remove(messageRef);
+        // Drop our own access to the attachments while we can still read the messages
+        await syncChatAttachmentAccess(chatId, remainingMemberIds, [currentUserId]);
         
-        console.log('Message deleted successfully');
+        await update(ref(database), updates);
+        
+        console.log('Left group successfully');
         return true;
     } catch (error) {
-        console.error('Error deleting message:', error);
+        console.error('Error leaving group:', error);
         throw error;
     }
 }
 
-// Start chat with friend
-export async function startChatWithFriend(friendId) {
+// Delete a group along with its messages and files when its last member leaves
+async function deleteLastMemberGroup(chatId, chat, currentUserId) {
+    if (!chat.admins?.[currentUserId]) {
+        throw new Error('Only an admin can close this group');
+    }
+    
+    const attachments = await getChatAttachments(chatId);
+    await Promise.all(attachments.map(deleteMessageAttachment));
+    
+    await update(ref(database), {
+        [`messages/${chatId}`]: null,
+        [`typing/${chatId}`]: null,
+        [`chats/${chatId}`]: null,
+        [`userChats/${currentUserId}/${chatId}`]: null
+    });
+    
+    console.log('Left and deleted group successfully');
+    return true;
+}
+
+// Grant or revoke admin rights in a group chat (admins only)
+export async function setGroupAdmin(chatId, memberId, isAdmin) {
     try {
         const currentUserId = getCurrentUserId();
         if (!currentUserId) {
             throw new Error('User not authenticated');
         }
         
-        // Check if users are friends
-        const isFriend = await areFriends(currentUserId, friendId);
-        if (!isFriend) {
-            throw new Error('Can only chat with friends');
+        const chat = await getAdministeredGroup(chatId, currentUserId);
+        if (!chat.participants[memberId]) {
+            throw new Error('User is not a member of this group');
         }
         
-        const chatId = generateChatId(currentUserId, friendId);
-        
-        // Initialize chat metadata if it doesn't exist
-        const chatMetaRef = ref(database, `chats/${chatId}`);
-        const chatSnapshot = await get(chatMetaRef);
-        
-        if (!chatSnapshot.exists()) {
-            await set(chatMetaRef, {
-                participants: [currentUserId, friendId],
-                createdAt: serverTimestamp(),
-                updatedAt: serverTimestamp()
-            });
+        if (!isAdmin && Object.keys(chat.admins).length === 1 && chat.admins[memberId]) {
+            throw new Error('A group needs at least one admin');
         }
         
-        // Initialize user chat entries
-        await update(ref(database, `userChats/${currentUserId}/${chatId}`), {
-            otherUserId: friendId,
-            unreadCount: 0
-        });
-        
-        await update(ref(database, `userChats/${friendId}/${chatId}`), {
-            otherUserId: currentUserId,
-            unreadCount: 0
+        await update(ref(database, `chats/${chatId}/admins`), {
+            [memberId]: isAdmin ? true : null
         });
         
-        console.log('Chat initialized successfully');
-        return chatId;
+        console.log(isAdmin ? 'Group admin added' : 'Group admin removed');
+        return true;
     } catch (error) {
-        console.error('Error starting chat:', error);
+        console.error('Error setting group admin:', error);
         throw error;
     }
 }
 
-// Search messages in chat
-export async function searchMessagesInChat(otherUserId, searchTerm) {
+// Get chat metadata
+export async function getChatInfo(chatId) {
     try {
-        const messages = await getChatMessages(otherUserId, 1000); // Get more messages for search
+        const snapshot = await get(ref(database, `chats/${chatId}`));
         
-        const filteredMessages = messages.filter(message => 
-            message.text.toLowerCase().includes(searchTerm.toLowerCase())
-        );
+        if (!snapshot.exists()) {
+            return null;
+        }
         
-        return filteredMessages;
+        return {
+            chatId,
+            ...snapshot.val()
+        };
     } catch (error) {
-        console.error('Error searching messages:', error);
-        return [];
+        console.error('Error getting chat info:', error);
+        return null;
     }
 }
 
-// Get chat statistics
-export async function getChatStatistics(otherUserId) {
+// Get chat members with their profiles and roles
+export async function getChatMembers(chatId) {
     try {
-        const messages = await getChatMessages(otherUserId, 1000);
-        const currentUserId = getCurrentUserId();
+        const chat = await getChatInfo(chatId);
+        if (!chat) {
+            return [];
+        }
         
-        const stats = {
-            totalMessages: messages.length,
-            messagesSent: messages.filter(m => m.senderId === currentUserId).length,
-            messagesReceived: messages.filter(m => m.senderId === otherUserId).length,
-            firstMessageDate: messages.length > 0 ? messages[0].timestamp : null,
-            lastMessageDate: messages.length > 0 ? messages[messages.length - 1].timestamp : null
-        };
+        const members = await Promise.all(Object.keys(chat.participants || {}).map(async (uid) => {
+            const userProfile = await getUserProfile(uid);
+            return userProfile ? {
+                uid,
+                ...userProfile,
+                isAdmin: chat.admins?.[uid] === true
+            } : null;
+        }));
         
-        return stats;
+        return members.filter(member => member !== null);
     } catch (error) {
-        console.error('Error getting chat statistics:', error);
-        return null;
+        console.error('Error getting chat members:', error);
+        return [];
     }
 }
-
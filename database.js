@@ -33,7 +33,12 @@ export async function storeUserProfile(userData) {
             lastLogin: userData.lastLogin,
             createdAt: existingData?.createdAt || Date.now(),
             // Preserve existing username if it exists
-            username: existingData?.username || null
+            username: existingData?.username || null,
+            // Preserve the published encryption key
+            publicKey: existingData?.publicKey || null,
+            publicKeyUpdatedAt: existingData?.publicKeyUpdatedAt || null,
+            // Preserve the message request privacy setting
+            allowMessageRequests: existingData?.allowMessageRequests ?? null
         };
         
         await set(userRef, profileData);
@@ -299,6 +304,60 @@ export async function updateUserProfile(uid, updates) {
     }
 }
 
+// Publish the public half of a user's encryption key pair (the private key never leaves the browser)
+export async function setUserPublicKey(uid, publicKey) {
+    try {
+        const userRef = ref(database, `users/${uid}`);
+        await update(userRef, {
+            publicKey: publicKey,
+            publicKeyUpdatedAt: Date.now()
+        });
+        
+        console.log('Public key published successfully');
+        return true;
+    } catch (error) {
+        console.error('Error publishing public key:', error);
+        throw error;
+    }
+}
+
+// Get a user's published encryption public key
+export async function getUserPublicKey(uid) {
+    try {
+        const snapshot = await get(ref(database, `users/${uid}/publicKey`));
+        return snapshot.exists() ? snapshot.val() : null;
+    } catch (error) {
+        console.error('Error getting public key:', error);
+        return null;
+    }
+}
+
+// Turn message requests from people who aren't friends on or off (on unless set to false)
+export async function setMessageRequestsAllowed(uid, allowed) {
+    try {
+        await update(ref(database, `users/${uid}`), {
+            allowMessageRequests: allowed
+        });
+        
+        console.log('Message request setting updated successfully');
+        return true;
+    } catch (error) {
+        console.error('Error updating message request setting:', error);
+        throw error;
+    }
+}
+
+// Get the UID registered for a username
+export async function getUserIdByUsername(username) {
+    try {
+        const snapshot = await get(ref(database, `usernames/${username}`));
+        return snapshot.exists() ? snapshot.val() : null;
+    } catch (error) {
+        console.error('Error getting user ID by username:', error);
+        throw error;
+    }
+}
+
 // Get user's current username
 export async function getCurrentUsername(uid) {
     try {
@@ -0,0 +1,232 @@
+// End-to-end encryption for direct chats: ECDH (P-256) key agreement and AES-GCM via WebCrypto.
+// Each browser keeps its private key in IndexedDB; only the public key is published on the user profile.
+import { getCurrentUserId } from './auth.js';
+import { getUserPublicKey, setUserPublicKey } from './database.js';
+
+const KEY_DB_NAME = 'wefriend-keys';
+const KEY_DB_VERSION = 1;
+const IDENTITY_STORE = 'identityKeys';
+const VERIFIED_STORE = 'verifiedContacts';
+
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+const MESSAGE_KEY_INFO = 'wefriend-e2e-message-key';
+
+// Open (and on first use create) the IndexedDB database holding keys
+function openKeyDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(KEY_DB_NAME, KEY_DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(IDENTITY_STORE);
+            request.result.createObjectStore(VERIFIED_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against an object store and resolve with its result once the transaction completes
+async function runKeyStoreRequest(storeName, mode, createRequest) {
+    const db = await openKeyDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = createRequest(transaction.objectStore(storeName));
+        
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = transaction.onabort = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+// Only the fields needed to import an EC public key
+function toPublicKeyRecord(jwk) {
+    return {
+        kty: jwk.kty,
+        crv: jwk.crv,
+        x: jwk.x,
+        y: jwk.y
+    };
+}
+
+export function isSamePublicKey(a, b) {
+    return !!a && !!b && a.x === b.x && a.y === b.y;
+}
+
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Check whether this browser supports the APIs encryption relies on
+export function isEncryptionSupported() {
+    return typeof indexedDB !== 'undefined' && !!window.crypto?.subtle;
+}
+
+// Get this browser's key pair for a user, or null if none was created yet
+async function getIdentityKeys(uid) {
+    return (await runKeyStoreRequest(IDENTITY_STORE, 'readonly', store => store.get(uid))) || null;
+}
+
+// This browser's public key for a user, or null if encryption is not set up here
+export async function getLocalPublicKey(uid) {
+    return (await getIdentityKeys(uid))?.publicKey || null;
+}
+
+// Create this browser's key pair on first use and make sure its public key is the published one.
+// Messages store the public keys they were encrypted with, so replacing the published key only
+// changes which browser new messages are encrypted for.
+export async function initializeEncryptionKeys(uid) {
+    try {
+        if (!isEncryptionSupported()) {
+            console.log('End-to-end encryption is not supported in this browser');
+            return null;
+        }
+        
+        let keys = await getIdentityKeys(uid);
+        
+        if (!keys) {
+            // The private key is not extractable; IndexedDB stores the CryptoKey object itself
+            const keyPair = await crypto.subtle.generateKey(ECDH_PARAMS, false, ['deriveBits']);
+            keys = {
+                privateKey: keyPair.privateKey,
+                publicKey: toPublicKeyRecord(await crypto.subtle.exportKey('jwk', keyPair.publicKey)),
+                createdAt: Date.now()
+            };
+            
+            await runKeyStoreRequest(IDENTITY_STORE, 'readwrite', store => store.put(keys, uid));
+        }
+        
+        const publishedKey = await getUserPublicKey(uid);
+        if (!isSamePublicKey(publishedKey, keys.publicKey)) {
+            await setUserPublicKey(uid, keys.publicKey);
+        }
+        
+        console.log('Encryption keys initialized');
+        return keys.publicKey;
+    } catch (error) {
+        console.error('Error initializing encryption keys:', error);
+        return null;
+    }
+}
+
+// Derive the AES-GCM key the current user shares with a contact, bound to one chat
+export async function deriveChatKey(contactPublicKey, chatId) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        throw new Error('User not authenticated');
+    }
+    
+    const keys = await getIdentityKeys(currentUserId);
+    if (!keys) {
+        throw new Error('Encryption keys are not set up in this browser');
+    }
+    
+    const contactKey = await crypto.subtle.importKey('jwk', toPublicKeyRecord(contactPublicKey), ECDH_PARAMS, false, []);
+    const sharedSecret = await crypto.subtle.deriveBits({ name: 'ECDH', public: contactKey }, keys.privateKey, 256);
+    const baseKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+    
+    const encoder = new TextEncoder();
+    
+    return crypto.subtle.deriveKey(
+        {
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: encoder.encode(chatId),
+            info: encoder.encode(MESSAGE_KEY_INFO)
+        },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Encrypt text with a fresh random IV; both parts are base64 for storage in the database
+export async function encryptText(key, plaintext) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(plaintext)
+    );
+    
+    return {
+        ciphertext: toBase64(ciphertext),
+        iv: toBase64(iv)
+    };
+}
+
+// Decrypt a { ciphertext, iv } pair produced by encryptText
+export async function decryptText(key, { ciphertext, iv }) {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(iv) },
+        key,
+        fromBase64(ciphertext)
+    );
+    
+    return new TextDecoder().decode(plaintext);
+}
+
+// 30 digits identifying one user's public key
+async function getKeyFingerprint(uid, publicKey) {
+    const data = new TextEncoder().encode(`${uid}:${publicKey.x}:${publicKey.y}`);
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    
+    let digits = '';
+    for (let i = 0; i < 30; i += 5) {
+        // 5 bytes -> a 5 digit group
+        const chunk = hash[i] * 2 ** 32 + hash[i + 1] * 2 ** 24 + hash[i + 2] * 2 ** 16 + hash[i + 3] * 2 ** 8 + hash[i + 4];
+        digits += String(chunk % 100000).padStart(5, '0');
+    }
+    
+    return digits;
+}
+
+// Safety number for the current user and a contact: both see the same 60 digits
+// unless one of the public keys was swapped, so comparing them verifies the chat
+export async function getSafetyNumber(contactUid, contactPublicKey) {
+    const currentUserId = getCurrentUserId();
+    const keys = await getIdentityKeys(currentUserId);
+    if (!keys) {
+        throw new Error('Encryption keys are not set up in this browser');
+    }
+    
+    const fingerprints = await Promise.all(
+        [[currentUserId, keys.publicKey], [contactUid, contactPublicKey]]
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([uid, publicKey]) => getKeyFingerprint(uid, publicKey))
+    );
+    
+    return fingerprints.join('').match(/.{5}/g).join(' ');
+}
+
+// Check whether the current user verified this contact's current public key
+export async function isContactVerified(contactUid, contactPublicKey) {
+    try {
+        const verifiedKey = await runKeyStoreRequest(VERIFIED_STORE, 'readonly',
+            store => store.get(`${getCurrentUserId()}:${contactUid}`));
+        
+        return isSamePublicKey(verifiedKey, contactPublicKey);
+    } catch (error) {
+        console.error('Error checking contact verification:', error);
+        return false;
+    }
+}
+
+// Mark (or unmark) a contact's current public key as verified in this browser
+export async function setContactVerified(contactUid, contactPublicKey, verified) {
+    const id = `${getCurrentUserId()}:${contactUid}`;
+    
+    await runKeyStoreRequest(VERIFIED_STORE, 'readwrite', store => verified
+        ? store.put({ ...toPublicKeyRecord(contactPublicKey), verifiedAt: Date.now() }, id)
+        : store.delete(id));
+}
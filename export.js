@@ -0,0 +1,311 @@
+// Conversation export: a chat's whole history as JSON, a plain-text transcript or a self-contained HTML page
+import { getCurrentUserId } from './auth.js';
+import { getUserProfile } from './database.js';
+import { formatFileSize } from './storage.js';
+import {
+    getChatInfo,
+    getAllChatMessages,
+    getReactionSummary,
+    formatCallSummary,
+    formatDuration,
+    CHAT_TYPES,
+    MESSAGE_TYPES
+} from './chat.js';
+
+// Formats a chat can be exported in
+export const EXPORT_FORMATS = [
+    { format: 'json', label: 'JSON', description: 'Every message with its details, for other programs', extension: 'json', mimeType: 'application/json' },
+    { format: 'text', label: 'Plain text', description: 'A readable transcript', extension: 'txt', mimeType: 'text/plain' },
+    { format: 'html', label: 'HTML', description: 'A web page you can open in any browser, with attachments linked', extension: 'html', mimeType: 'text/html' }
+];
+
+// Export a chat and download the file. onProgress gets the number of messages fetched so far.
+export async function exportChat(chatId, format, onProgress) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const exportFormat = EXPORT_FORMATS.find(option => option.format === format);
+        if (!exportFormat) {
+            throw new Error('Unknown export format');
+        }
+        
+        const chat = await getChatInfo(chatId);
+        if (!chat || !chat.participants?.[currentUserId]) {
+            throw new Error('Chat not found');
+        }
+        
+        const messages = await getAllChatMessages(chatId, onProgress);
+        const transcript = await buildTranscript(chat, messages, currentUserId);
+        
+        let content;
+        if (format === 'json') {
+            content = JSON.stringify(transcript, null, 2);
+        } else if (format === 'text') {
+            content = formatTranscriptAsText(transcript);
+        } else {
+            content = formatTranscriptAsHTML(transcript);
+        }
+        
+        downloadFile(content, `${getExportFileName(transcript)}.${exportFormat.extension}`, exportFormat.mimeType);
+        
+        console.log('Chat exported successfully');
+        return transcript.messages.length;
+    } catch (error) {
+        console.error('Error exporting chat:', error);
+        throw error;
+    }
+}
+
+// Resolve sender names and local times once, so every format shows the same thing
+async function buildTranscript(chat, messages, currentUserId) {
+    const userIds = new Set(Object.keys(chat.participants));
+    messages.forEach(message => {
+        if (message.senderId) userIds.add(message.senderId);
+        if (message.replyTo?.senderId) userIds.add(message.replyTo.senderId);
+    });
+    
+    // Former group members are looked up too, so their old messages keep a name
+    const names = {};
+    await Promise.all([...userIds].map(async (uid) => {
+        const profile = await getUserProfile(uid);
+        names[uid] = profile?.displayName || profile?.username || 'Unknown user';
+    }));
+    
+    const otherUserId = Object.keys(chat.participants).find(uid => uid !== currentUserId);
+    const exportedAt = Date.now();
+    
+    return {
+        chat: {
+            id: chat.chatId,
+            type: chat.type || CHAT_TYPES.DIRECT,
+            name: chat.type === CHAT_TYPES.GROUP ? chat.name : names[otherUserId],
+            participants: Object.keys(chat.participants).map(uid => ({ uid, name: names[uid] }))
+        },
+        exportedBy: { uid: currentUserId, name: names[currentUserId] },
+        exportedAt: new Date(exportedAt).toISOString(),
+        exportedAtLocal: formatLocalTime(exportedAt),
+        messages: messages.map(message => createTranscriptMessage(message, names))
+    };
+}
+
+// One message as it appears in an export
+function createTranscriptMessage(message, names) {
+    const type = message.type || 'text';
+    
+    return {
+        id: message.id,
+        type,
+        senderId: message.senderId || null,
+        senderName: type === MESSAGE_TYPES.SYSTEM ? null : names[message.senderId] || 'Unknown user',
+        timestamp: message.timestamp ? new Date(message.timestamp).toISOString() : null,
+        localTime: formatLocalTime(message.timestamp),
+        text: message.text || '',
+        deleted: !!message.deleted,
+        ...(message.decryptionFailed ? { decryptionFailed: true } : {}),
+        ...(message.editedAt ? { editedAt: new Date(message.editedAt).toISOString() } : {}),
+        ...(message.expiresAt ? { expiresAt: new Date(message.expiresAt).toISOString() } : {}),
+        ...(message.attachment ? {
+            attachment: {
+                name: message.attachment.name,
+                url: message.attachment.url,
+                size: message.attachment.size,
+                contentType: message.attachment.contentType
+            }
+        } : {}),
+        ...(message.voice ? { voice: { duration: message.voice.duration } } : {}),
+        ...(message.call ? { call: message.call } : {}),
+        ...(message.replyTo ? {
+            replyTo: {
+                messageId: message.replyTo.messageId,
+                senderName: names[message.replyTo.senderId] || 'Unknown user',
+                snippet: message.replyTo.snippet || ''
+            }
+        } : {}),
+        reactions: getReactionSummary(message.reactions).map(reaction => ({
+            emoji: reaction.emoji,
+            count: reaction.count,
+            names: reaction.userIds.map(uid => names[uid] || 'Unknown user')
+        }))
+    };
+}
+
+function formatLocalTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+// What a message says, in words: text, or a description of its photo, file, voice message or call
+function describeMessage(message) {
+    if (message.deleted) {
+        return 'This message was deleted';
+    }
+    
+    if (message.decryptionFailed) {
+        return '[Encrypted message that could not be decrypted]';
+    }
+    
+    if (message.type === MESSAGE_TYPES.CALL) {
+        return formatCallSummary(message.call);
+    }
+    
+    if (message.type === MESSAGE_TYPES.VOICE) {
+        return `[Voice message, ${formatDuration(message.voice?.duration)}]`;
+    }
+    
+    if (message.attachment) {
+        const kind = message.type === MESSAGE_TYPES.IMAGE ? 'Photo' : 'File';
+        const description = `[${kind}: ${message.attachment.name}, ${formatFileSize(message.attachment.size)}]`;
+        return message.text ? `${description} ${message.text}` : description;
+    }
+    
+    return message.text;
+}
+
+function formatReactionList(reactions) {
+    return reactions.map(reaction => `${reaction.emoji} ${reaction.names.join(', ')}`).join('  ');
+}
+
+function formatTranscriptAsText(transcript) {
+    const lines = [
+        `Chat with ${transcript.chat.name}`,
+        `Participants: ${transcript.chat.participants.map(participant => participant.name).join(', ')}`,
+        `Exported by ${transcript.exportedBy.name} on ${transcript.exportedAtLocal}`,
+        `${transcript.messages.length} messages`,
+        ''
+    ];
+    
+    transcript.messages.forEach(message => {
+        if (message.type === MESSAGE_TYPES.SYSTEM) {
+            lines.push(`[${message.localTime}] -- ${message.text} --`);
+            return;
+        }
+        
+        if (message.replyTo) {
+            lines.push(`    > ${message.replyTo.senderName}: ${message.replyTo.snippet}`);
+        }
+        
+        lines.push(`[${message.localTime}] ${message.senderName}: ${describeMessage(message)}${message.editedAt ? ' (edited)' : ''}`);
+        
+        if (message.attachment && !message.deleted) {
+            lines.push(`    ${message.attachment.url}`);
+        }
+        
+        if (message.reactions.length > 0) {
+            lines.push(`    Reactions: ${formatReactionList(message.reactions)}`);
+        }
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Styles are inlined so the file needs nothing else to display
+const EXPORT_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 760px; margin: 0 auto; padding: 24px; color: #1e293b; background: #f8fafc; }
+    header { margin-bottom: 24px; }
+    h1 { font-size: 1.4rem; margin: 0 0 8px; }
+    header p { margin: 2px 0; color: #64748b; font-size: 0.9rem; }
+    .message { margin: 0 0 12px; padding: 10px 14px; background: #fff; border-radius: 10px; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.08); }
+    .message.own { background: #eef2ff; }
+    .message.system { background: none; box-shadow: none; text-align: center; color: #64748b; font-size: 0.85rem; }
+    .meta { font-size: 0.8rem; color: #64748b; margin-bottom: 4px; }
+    .sender { font-weight: 600; color: #1e293b; margin-right: 8px; }
+    .text { white-space: pre-wrap; word-wrap: break-word; }
+    .deleted { font-style: italic; color: #64748b; }
+    .quote { display: block; text-decoration: none; border-left: 3px solid #6366f1; padding: 4px 8px; margin-bottom: 6px; font-size: 0.85rem; color: #64748b; }
+    .attachment img { display: block; max-width: 100%; max-height: 320px; margin-bottom: 6px; border-radius: 6px; }
+    .reactions { margin-top: 6px; font-size: 0.8rem; color: #64748b; }
+`;
+
+function formatMessageAsHTML(message, currentUserId) {
+    if (message.type === MESSAGE_TYPES.SYSTEM) {
+        return `<div class="message system" id="message-${message.id}">${escapeHTML(message.text)} · ${escapeHTML(message.localTime)}</div>`;
+    }
+    
+    let body;
+    if (message.deleted || message.decryptionFailed) {
+        body = `<div class="text deleted">${escapeHTML(describeMessage(message))}</div>`;
+    } else if (message.attachment) {
+        const { url, name, size } = message.attachment;
+        const isImage = message.type === MESSAGE_TYPES.IMAGE;
+        const label = message.type === MESSAGE_TYPES.VOICE
+            ? `Voice message (${formatDuration(message.voice?.duration)})`
+            : `${name} (${formatFileSize(size)})`;
+        
+        body = `
+            <div class="attachment">
+                ${isImage ? `<a href="${escapeHTML(url)}"><img src="${escapeHTML(url)}" alt="${escapeHTML(name)}"></a>` : ''}
+                <a href="${escapeHTML(url)}">${escapeHTML(label)}</a>
+            </div>
+            ${message.text ? `<div class="text">${escapeHTML(message.text)}</div>` : ''}`;
+    } else {
+        body = `<div class="text">${escapeHTML(describeMessage(message))}</div>`;
+    }
+    
+    return `
+        <div class="message${message.senderId === currentUserId ? ' own' : ''}" id="message-${message.id}">
+            <div class="meta"><span class="sender">${escapeHTML(message.senderName)}</span>${escapeHTML(message.localTime)}${message.editedAt ? ' · edited' : ''}</div>
+            ${message.replyTo ? `<a class="quote" href="#message-${escapeHTML(message.replyTo.messageId)}"><strong>${escapeHTML(message.replyTo.senderName)}</strong>: ${escapeHTML(message.replyTo.snippet)}</a>` : ''}
+            ${body}
+            ${message.reactions.length > 0 ? `<div class="reactions">${escapeHTML(formatReactionList(message.reactions))}</div>` : ''}
+        </div>`;
+}
+
+function formatTranscriptAsHTML(transcript) {
+    const title = `Chat with ${transcript.chat.name}`;
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(title)}</title>
+    <style>${EXPORT_STYLES}</style>
+</head>
+<body>
+    <header>
+        <h1>${escapeHTML(title)}</h1>
+        <p>Participants: ${escapeHTML(transcript.chat.participants.map(participant => participant.name).join(', '))}</p>
+        <p>Exported by ${escapeHTML(transcript.exportedBy.name)} on ${escapeHTML(transcript.exportedAtLocal)} · ${transcript.messages.length} messages</p>
+    </header>
+    <main>
+        ${transcript.messages.map(message => formatMessageAsHTML(message, transcript.exportedBy.uid)).join('\n')}
+    </main>
+</body>
+</html>
+`;
+}
+
+// "wefriend-chat-alex-2026-10-19"
+function getExportFileName(transcript) {
+    const slug = (transcript.chat.name || 'chat')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'chat';
+    
+    return `wefriend-chat-${slug}-${transcript.exportedAt.slice(0, 10)}`;
+}
+
+// Save generated content through a temporary link
+function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,229 @@
+// Firebase Database imports
+import { 
+    ref, 
+    get, 
+    update, 
+    query,
+    orderByChild,
+    equalTo,
+    limitToLast
+} from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-database.js';
+
+import { database } from './firebase-config.js';
+import { getCurrentUserId } from './auth.js';
+import { POST_AUDIENCES, getPostAudience } from './posts.js';
+
+// Number of a friend's most recent posts copied into a feed when a friendship starts
+const FEED_BACKFILL_LIMIT = 50;
+
+// Get friend IDs for a user (without loading profiles)
+async function getFriendIds(userId) {
+    const snapshot = await get(ref(database, `friends/${userId}`));
+    return snapshot.exists() ? Object.keys(snapshot.val()) : [];
+}
+
+// Build the feed index entry stored under feeds/$uid/$postId
+function createFeedEntry(post) {
+    return {
+        authorId: post.authorId,
+        createdAt: post.createdAt || 0
+    };
+}
+
+// Friends (of friendIds) in a post's audience. Only called by the author, the one user who can
+// read their friend lists.
+async function getAudienceFriendIds(post, friendIds) {
+    const audience = getPostAudience(post);
+    
+    if (audience.type === POST_AUDIENCES.ONLY_ME) {
+        return [];
+    }
+    
+    if (audience.type === POST_AUDIENCES.CUSTOM) {
+        return friendIds.filter(uid => audience.members?.[uid]);
+    }
+    
+    if (audience.type === POST_AUDIENCES.FRIEND_LIST) {
+        const snapshot = await get(ref(database, `friendLists/${post.authorId}/${audience.listId}/members`));
+        const members = snapshot.val() || {};
+        return friendIds.filter(uid => members[uid]);
+    }
+    
+    return friendIds;
+}
+
+// Fan a new post out to the author's feed and the feeds of friends in its audience
+export async function fanOutPostToFeeds(postId, post) {
+    try {
+        const friendIds = await getFriendIds(post.authorId);
+        const audienceIds = await getAudienceFriendIds(post, friendIds);
+        const entry = createFeedEntry(post);
+        const updates = {};
+        
+        [post.authorId, ...audienceIds].forEach(uid => {
+            updates[`feeds/${uid}/${postId}`] = entry;
+        });
+        
+        await update(ref(database), updates);
+        
+        console.log('Post fanned out to feeds');
+    } catch (error) {
+        console.error('Error fanning out post:', error);
+        throw error;
+    }
+}
+
+// Remove a deleted post from the author's feed and their friends' feeds
+export async function removePostFromFeeds(postId, authorId) {
+    try {
+        const friendIds = await getFriendIds(authorId);
+        const updates = {};
+        
+        [authorId, ...friendIds].forEach(uid => {
+            updates[`feeds/${uid}/${postId}`] = null;
+        });
+        
+        await update(ref(database), updates);
+        
+        console.log('Post removed from feeds');
+    } catch (error) {
+        console.error('Error removing post from feeds:', error);
+        throw error;
+    }
+}
+
+// Copy recent posts of both users into each other's feeds after they become friends
+export async function backfillFeedsForFriendship(friendUserId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const [friendPosts, ownPosts] = await Promise.all([
+            getRecentUserPosts(friendUserId, FEED_BACKFILL_LIMIT),
+            getRecentUserPosts(currentUserId, FEED_BACKFILL_LIMIT)
+        ]);
+        
+        const updates = {};
+        
+        friendPosts.forEach(post => {
+            updates[`feeds/${currentUserId}/${post.id}`] = createFeedEntry(post);
+        });
+        
+        // Only the current user's posts whose audience includes the new friend
+        for (const post of ownPosts) {
+            if ((await getAudienceFriendIds(post, [friendUserId])).length > 0) {
+                updates[`feeds/${friendUserId}/${post.id}`] = createFeedEntry(post);
+            }
+        }
+        
+        if (Object.keys(updates).length > 0) {
+            await update(ref(database), updates);
+        }
+        
+        console.log('Feeds backfilled for new friendship');
+    } catch (error) {
+        console.error('Error backfilling feeds:', error);
+        throw error;
+    }
+}
+
+// Remove each user's posts from the other's feed after a friendship ends
+export async function pruneFeedsForFriendship(friendUserId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const updates = {};
+        
+        // Friend's posts in the current user's feed
+        const feedQuery = query(
+            ref(database, `feeds/${currentUserId}`),
+            orderByChild('authorId'),
+            equalTo(friendUserId)
+        );
+        const feedSnapshot = await get(feedQuery);
+        
+        if (feedSnapshot.exists()) {
+            Object.keys(feedSnapshot.val()).forEach(postId => {
+                updates[`feeds/${currentUserId}/${postId}`] = null;
+            });
+        }
+        
+        // Current user's posts in the friend's feed
+        const ownPostsSnapshot = await get(ref(database, `userPosts/${currentUserId}`));
+        
+        if (ownPostsSnapshot.exists()) {
+            Object.keys(ownPostsSnapshot.val()).forEach(postId => {
+                updates[`feeds/${friendUserId}/${postId}`] = null;
+            });
+        }
+        
+        if (Object.keys(updates).length > 0) {
+            await update(ref(database), updates);
+        }
+        
+        console.log('Feeds pruned for removed friendship');
+    } catch (error) {
+        console.error('Error pruning feeds:', error);
+        throw error;
+    }
+}
+
+// Rebuild the current user's feed from their own and their friends' posts
+export async function rebuildFeed() {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const friendIds = await getFriendIds(currentUserId);
+        const postLists = await Promise.all(
+            [currentUserId, ...friendIds].map(uid => getRecentUserPosts(uid, FEED_BACKFILL_LIMIT))
+        );
+        
+        const updates = {};
+        
+        postLists.flat().forEach(post => {
+            updates[`feeds/${currentUserId}/${post.id}`] = createFeedEntry(post);
+        });
+        
+        if (Object.keys(updates).length > 0) {
+            await update(ref(database), updates);
+        }
+        
+        console.log('Feed rebuilt successfully');
+        return Object.keys(updates).length;
+    } catch (error) {
+        console.error('Error rebuilding feed:', error);
+        throw error;
+    }
+}
+
+// Get a user's most recent posts (userPosts keys are push IDs, so key order is creation order).
+// Posts the current user isn't in the audience of can't be read and are left out.
+async function getRecentUserPosts(userId, limit) {
+    const userPostsQuery = query(ref(database, `userPosts/${userId}`), limitToLast(limit));
+    const snapshot = await get(userPostsQuery);
+    
+    if (!snapshot.exists()) {
+        return [];
+    }
+    
+    const posts = await Promise.all(
+        Object.keys(snapshot.val()).map(async (postId) => {
+            try {
+                const postSnapshot = await get(ref(database, `posts/${postId}`));
+                return postSnapshot.exists() ? { id: postId, ...postSnapshot.val() } : null;
+            } catch (error) {
+                return null;
+            }
+        })
+    );
+    
+    return posts.filter(post => post !== null);
+}
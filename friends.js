@@ -15,6 +15,7 @@ import { database } from './firebase-config.js';
 import { getUserProfile, getUserByUsername, listenToUsersPresence } from './database.js';
 import { getCurrentUserId } from './auth.js';
 import { addNotification } from './notifications.js';
+import { backfillFeedsForFriendship, pruneFeedsForFriendship } from './feeds.js';
 
 // Send friend request
 export async function sendFriendRequest(targetUsername) {
@@ -130,6 +131,9 @@ export async function acceptFriendRequest(fromUserId) {
             status: 'accepted'
         });
         
+        // Copy each other's recent posts into both feeds
+        await backfillFeedsForFriendship(fromUserId);
+        
         // Add notification for the user who sent the request
         await addNotification(fromUserId, {
             type: 'friend_request_accepted',
@@ -174,6 +178,9 @@ export async function removeFriend(friendUserId) {
             throw new Error('User not authenticated');
         }
         
+        // Remove each other's posts from both feeds
+        await pruneFeedsForFriendship(friendUserId);
+        
         // Remove from both users' friend lists
         await remove(ref(database, `friends/${currentUserId}/${friendUserId}`));
         await remove(ref(database, `friends/${friendUserId}/${currentUserId}`));
@@ -340,6 +347,172 @@ export async function areFriends(userId1, userId2) {
     }
 }
 
+// Block a user: they can no longer send the current user message requests or messages
+export async function blockUser(userId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        if (userId === currentUserId) {
+            throw new Error('Cannot block yourself');
+        }
+        
+        await set(ref(database, `blockedUsers/${currentUserId}/${userId}`), serverTimestamp());
+        
+        console.log('User blocked successfully');
+        return true;
+    } catch (error) {
+        console.error('Error blocking user:', error);
+        throw error;
+    }
+}
+
+// Unblock user
+export async function unblockUser(userId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        await remove(ref(database, `blockedUsers/${currentUserId}/${userId}`));
+        
+        console.log('User unblocked successfully');
+        return true;
+    } catch (error) {
+        console.error('Error unblocking user:', error);
+        throw error;
+    }
+}
+
+// Get the users the current user blocked, with their profiles
+export async function getBlockedUsers() {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return [];
+        }
+        
+        const snapshot = await get(ref(database, `blockedUsers/${currentUserId}`));
+        if (!snapshot.exists()) {
+            return [];
+        }
+        
+        const blocked = snapshot.val();
+        const blockedList = [];
+        
+        for (const blockedUserId in blocked) {
+            const userProfile = await getUserProfile(blockedUserId);
+            blockedList.push({
+                uid: blockedUserId,
+                ...(userProfile || { displayName: 'Unknown user' }),
+                blockedAt: blocked[blockedUserId]
+            });
+        }
+        
+        return blockedList;
+    } catch (error) {
+        console.error('Error getting blocked users:', error);
+        return [];
+    }
+}
+
+// Built-in friend list every user has, used as the "Close friends" post audience
+export const CLOSE_FRIENDS_LIST_ID = 'close-friends';
+
+// Get the current user's friend lists ({ id, name, memberIds }), Close friends first even while empty
+export async function getFriendLists() {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return [];
+        }
+        
+        const snapshot = await get(ref(database, `friendLists/${currentUserId}`));
+        const lists = snapshot.val() || {};
+        
+        const friendLists = Object.keys(lists)
+            .filter(listId => listId !== CLOSE_FRIENDS_LIST_ID)
+            .map(listId => ({
+                id: listId,
+                name: lists[listId].name,
+                memberIds: Object.keys(lists[listId].members || {})
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        
+        return [
+            {
+                id: CLOSE_FRIENDS_LIST_ID,
+                name: 'Close friends',
+                memberIds: Object.keys(lists[CLOSE_FRIENDS_LIST_ID]?.members || {})
+            },
+            ...friendLists
+        ];
+    } catch (error) {
+        console.error('Error getting friend lists:', error);
+        return [];
+    }
+}
+
+// Create (listId null) or update a friend list. Members are private to the owner; the database
+// rules check them when someone reads a post shared with the list.
+export async function saveFriendList(listId, name, memberIds) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const listName = listId === CLOSE_FRIENDS_LIST_ID ? 'Close friends' : name.trim();
+        if (!listName) {
+            throw new Error('Please enter a name for the list');
+        }
+        
+        const listsRef = ref(database, `friendLists/${currentUserId}`);
+        const id = listId || push(listsRef).key;
+        const members = {};
+        memberIds.forEach(uid => {
+            members[uid] = true;
+        });
+        
+        await update(ref(database, `friendLists/${currentUserId}/${id}`), {
+            name: listName,
+            members: memberIds.length > 0 ? members : null,
+            updatedAt: serverTimestamp()
+        });
+        
+        console.log('Friend list saved successfully');
+        return id;
+    } catch (error) {
+        console.error('Error saving friend list:', error);
+        throw error;
+    }
+}
+
+// Delete a friend list; posts shared with it are then only visible to their author
+export async function deleteFriendList(listId) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        if (listId === CLOSE_FRIENDS_LIST_ID) {
+            throw new Error('The Close friends list cannot be deleted');
+        }
+        
+        await remove(ref(database, `friendLists/${currentUserId}/${listId}`));
+        
+        console.log('Friend list deleted successfully');
+        return true;
+    } catch (error) {
+        console.error('Error deleting friend list:', error);
+        throw error;
+    }
+}
+
 // Get mutual friends
 export async function getMutualFriends(targetUserId) {
     try {
@@ -289,6 +289,9 @@ export const NOTIFICATION_TYPES = {
     FRIEND_REQUEST: 'friend_request',
     FRIEND_REQUEST_ACCEPTED: 'friend_request_accepted',
     NEW_MESSAGE: 'new_message',
+    MESSAGE_REQUEST: 'message_request',
+    GROUP_ADDED: 'group_added',
+    MISSED_CALL: 'missed_call',
     POST_LIKE: 'post_like',
     POST_COMMENT: 'post_comment',
     MENTION: 'mention'
@@ -305,6 +308,12 @@ export function formatNotificationMessage(notification) {
             return `${senderName} accepted your friend request`;
         case NOTIFICATION_TYPES.NEW_MESSAGE:
             return `${senderName} sent you a message`;
+        case NOTIFICATION_TYPES.MESSAGE_REQUEST:
+            return `${senderName} sent you a message request`;
+        case NOTIFICATION_TYPES.GROUP_ADDED:
+            return notification.message || `${senderName} added you to a group`;
+        case NOTIFICATION_TYPES.MISSED_CALL:
+            return notification.message || `You missed a call from ${senderName}`;
         case NOTIFICATION_TYPES.POST_LIKE:
             return `${senderName} liked your post`;
         case NOTIFICATION_TYPES.POST_COMMENT:
@@ -325,6 +334,12 @@ export function getNotificationIcon(type) {
             return 'fas fa-user-check';
         case NOTIFICATION_TYPES.NEW_MESSAGE:
             return 'fas fa-comment';
+        case NOTIFICATION_TYPES.MESSAGE_REQUEST:
+            return 'fas fa-envelope';
+        case NOTIFICATION_TYPES.GROUP_ADDED:
+            return 'fas fa-users';
+        case NOTIFICATION_TYPES.MISSED_CALL:
+            return 'fas fa-phone-slash';
         case NOTIFICATION_TYPES.POST_LIKE:
             return 'fas fa-heart';
         case NOTIFICATION_TYPES.POST_COMMENT:
@@ -0,0 +1,275 @@
+// Outgoing text messages that haven't reached the database yet. They are kept in IndexedDB so a
+// dropped connection or a reload doesn't lose them, and are retried with backoff while connected.
+import { ref, onValue } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-database.js';
+
+import { database } from './firebase-config.js';
+import { getCurrentUserId } from './auth.js';
+import { sendMessage, createMessageId, getMessagePreview } from './chat.js';
+
+const OUTBOX_DB_NAME = 'wefriend-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'messages';
+
+// States of a queued message
+export const OUTBOX_STATUS = {
+    SENDING: 'sending',
+    FAILED: 'failed'
+};
+
+// Attempts (while connected) before a message is marked failed and waits for a manual retry
+const MAX_SEND_ATTEMPTS = 5;
+
+// Delay before the second attempt; it doubles after each failure up to MAX_RETRY_DELAY
+const RETRY_BASE_DELAY = 2000;
+const MAX_RETRY_DELAY = 60 * 1000;
+
+// Queued messages by ID, mirrored to IndexedDB
+const outbox = new Map();
+
+// IDs of messages with a send in flight, so a retry never overlaps an attempt
+const inFlight = new Set();
+
+let isConnected = false;
+let retryTimer = null;
+let outboxListener = null;
+
+// Open (and on first use create) the IndexedDB database holding queued messages
+function openOutboxDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the outbox store and resolve with its result once the transaction completes
+async function runOutboxRequest(mode, createRequest) {
+    const db = await openOutboxDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = createRequest(transaction.objectStore(OUTBOX_STORE));
+        
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = transaction.onabort = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+// Persisting is best effort: without IndexedDB the outbox still works until the page is closed
+async function persistEntry(entry) {
+    try {
+        if (typeof indexedDB === 'undefined') return;
+        await runOutboxRequest('readwrite', store => store.put(entry));
+    } catch (error) {
+        console.error('Error saving outbox message:', error);
+    }
+}
+
+async function deleteEntry(id) {
+    try {
+        if (typeof indexedDB === 'undefined') return;
+        await runOutboxRequest('readwrite', store => store.delete(id));
+    } catch (error) {
+        console.error('Error removing outbox message:', error);
+    }
+}
+
+// Queued messages of the current user, oldest first (IDs are push keys, so they sort by time)
+export function getOutboxMessages(chatId = null) {
+    const currentUserId = getCurrentUserId();
+    
+    return [...outbox.values()]
+        .filter(entry => entry.senderId === currentUserId && (!chatId || entry.chatId === chatId))
+        .sort((a, b) => (a.id < b.id ? -1 : 1));
+}
+
+// Whether a send of this message is under way (it may already show up in the chat locally)
+export function isMessageInFlight(messageId) {
+    return inFlight.has(messageId);
+}
+
+function notifyOutboxChange() {
+    outboxListener?.(getOutboxMessages());
+}
+
+// Load queued messages and follow the connection, sending whenever it is up.
+// callback gets the queued messages whenever they change. Returns an unsubscribe function.
+export function initializeOutbox(callback) {
+    outboxListener = callback;
+    
+    const currentUserId = getCurrentUserId();
+    const loaded = typeof indexedDB === 'undefined'
+        ? Promise.resolve([])
+        : runOutboxRequest('readonly', store => store.getAll()).catch(error => {
+            console.error('Error loading outbox:', error);
+            return [];
+        });
+    
+    loaded.then(entries => {
+        // A reload interrupted any send in flight; it gets a fresh set of attempts
+        entries
+            .filter(entry => entry.senderId === currentUserId)
+            .forEach(entry => {
+                outbox.set(entry.id, { ...entry, attempts: 0, nextAttemptAt: 0 });
+            });
+        
+        notifyOutboxChange();
+        flushOutbox();
+    });
+    
+    const connectedRef = ref(database, '.info/connected');
+    const unsubscribe = onValue(connectedRef, (snapshot) => {
+        isConnected = snapshot.val() === true;
+        
+        if (isConnected) {
+            // Back online: retry right away instead of waiting out the backoff
+            outbox.forEach(entry => {
+                entry.nextAttemptAt = 0;
+            });
+            flushOutbox();
+        }
+    });
+    
+    return () => {
+        unsubscribe();
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        outboxListener = null;
+        outbox.clear();
+        isConnected = false;
+    };
+}
+
+// Queue a text message and send it as soon as possible. Resolves with the queued entry.
+export async function queueMessage(chatId, text, replyToMessage = null) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        throw new Error('User not authenticated');
+    }
+    
+    const entry = {
+        id: createMessageId(chatId),
+        chatId,
+        senderId: currentUserId,
+        text,
+        // Only what the quote needs, so the entry can be stored
+        replyTo: replyToMessage ? {
+            id: replyToMessage.id,
+            senderId: replyToMessage.senderId,
+            text: replyToMessage.text || getMessagePreview(replyToMessage)
+        } : null,
+        status: OUTBOX_STATUS.SENDING,
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+        createdAt: Date.now()
+    };
+    
+    outbox.set(entry.id, entry);
+    notifyOutboxChange();
+    await persistEntry(entry);
+    
+    flushOutbox();
+    return entry;
+}
+
+// Send a failed message again, starting a fresh set of attempts
+export async function retryMessage(messageId) {
+    const entry = outbox.get(messageId);
+    if (!entry) return;
+    
+    Object.assign(entry, {
+        status: OUTBOX_STATUS.SENDING,
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null
+    });
+    
+    notifyOutboxChange();
+    await persistEntry(entry);
+    flushOutbox();
+}
+
+// Drop a queued message without sending it
+export async function discardMessage(messageId) {
+    if (inFlight.has(messageId)) return;
+    
+    outbox.delete(messageId);
+    notifyOutboxChange();
+    await deleteEntry(messageId);
+}
+
+// Start every send that is due, then wake up for the next one waiting out its backoff
+function flushOutbox() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    
+    if (!isConnected) return;
+    
+    const now = Date.now();
+    let nextAttemptAt = Infinity;
+    
+    outbox.forEach(entry => {
+        if (entry.status !== OUTBOX_STATUS.SENDING || inFlight.has(entry.id)) return;
+        
+        if (entry.nextAttemptAt <= now) {
+            attemptSend(entry);
+        } else {
+            nextAttemptAt = Math.min(nextAttemptAt, entry.nextAttemptAt);
+        }
+    });
+    
+    if (nextAttemptAt !== Infinity) {
+        retryTimer = setTimeout(flushOutbox, nextAttemptAt - now);
+    }
+}
+
+async function attemptSend(entry) {
+    inFlight.add(entry.id);
+    notifyOutboxChange();
+    
+    try {
+        await sendMessage(entry.chatId, entry.text, entry.replyTo, { messageId: entry.id });
+        
+        inFlight.delete(entry.id);
+        outbox.delete(entry.id);
+        notifyOutboxChange();
+        await deleteEntry(entry.id);
+    } catch (error) {
+        console.error('Error sending queued message:', error);
+        inFlight.delete(entry.id);
+        
+        // Signed out or discarded meanwhile
+        if (outbox.get(entry.id) !== entry) return;
+        
+        // Lost the connection mid-send: that doesn't count as an attempt, sending resumes on reconnect
+        if (!isConnected) {
+            entry.nextAttemptAt = 0;
+            notifyOutboxChange();
+            return;
+        }
+        
+        entry.attempts++;
+        entry.lastError = error.message || 'Failed to send message';
+        
+        if (entry.attempts >= MAX_SEND_ATTEMPTS) {
+            entry.status = OUTBOX_STATUS.FAILED;
+        } else {
+            entry.nextAttemptAt = Date.now() + Math.min(RETRY_BASE_DELAY * 2 ** (entry.attempts - 1), MAX_RETRY_DELAY);
+        }
+        
+        notifyOutboxChange();
+        await persistEntry(entry);
+        flushOutbox();
+    }
+}
@@ -13,34 +13,118 @@ import {
     orderByChild,
     limitToLast,
     startAt,
-    endAt
+    endAt,
+    startAfter,
+    endBefore,
+    onChildAdded
 } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-database.js';
 
 import { database } from './firebase-config.js';
 import { getCurrentUserId } from './auth.js';
-import { getUserProfile, getFriendsList } from './friends.js';
-import { uploadPostImage } from './storage.js';
+import { getUserProfile } from './friends.js';
+import { uploadPostImages, uploadPostVideo, deleteImage } from './storage.js';
 import { addNotification } from './notifications.js';
+import { fanOutPostToFeeds, removePostFromFeeds } from './feeds.js';
 
-// Create a new post
-export async function createPost(content, imageFile = null) {
+// Who can see a post. Reads of posts/$postId are checked against it by the database rules.
+export const POST_AUDIENCES = {
+    PUBLIC: 'public',
+    FRIENDS: 'friends',
+    FRIEND_LIST: 'list',
+    ONLY_ME: 'only_me',
+    CUSTOM: 'custom'
+};
+
+// Most images a post can have
+export const MAX_POST_IMAGES = 10;
+
+// Images of a post in order; posts from before galleries have a single image
+export function getPostImages(post) {
+    return post.images || (post.image ? [post.image] : []);
+}
+
+// Audience of a post; posts from before audiences existed are shared with friends
+export function getPostAudience(post) {
+    return post.audience || { type: POST_AUDIENCES.FRIENDS };
+}
+
+// Audience as stored on a post: { type }, plus listId for a friend list or members for specific people
+function createAudienceData(audience) {
+    if (!Object.values(POST_AUDIENCES).includes(audience?.type)) {
+        throw new Error('Invalid post audience');
+    }
+    
+    if (audience.type === POST_AUDIENCES.FRIEND_LIST) {
+        if (!audience.listId) {
+            throw new Error('Pick a friend list');
+        }
+        return { type: audience.type, listId: audience.listId };
+    }
+    
+    if (audience.type === POST_AUDIENCES.CUSTOM) {
+        if (!audience.memberIds?.length) {
+            throw new Error('Pick at least one person to share with');
+        }
+        
+        const members = {};
+        audience.memberIds.forEach(uid => {
+            members[uid] = true;
+        });
+        return { type: audience.type, members };
+    }
+    
+    return { type: audience.type };
+}
+
+// Create a new post with images and/or a video. Uploads run in parallel; onProgress gets the
+// overall upload percentage.
+export async function createPost(content, imageFiles = [], audience = { type: POST_AUDIENCES.FRIENDS }, { videoFile = null, onProgress = null } = {}) {
     try {
         const currentUserId = getCurrentUserId();
         if (!currentUserId) {
             throw new Error('User not authenticated');
         }
         
-        if (!content.trim() && !imageFile) {
-            throw new Error('Post must have content or an image');
+        if (!content.trim() && imageFiles.length === 0 && !videoFile) {
+            throw new Error('Post must have content, an image or a video');
         }
         
-        let imageData = null;
+        if (imageFiles.length > MAX_POST_IMAGES) {
+            throw new Error(`A post can have at most ${MAX_POST_IMAGES} images`);
+        }
+        
+        const audienceData = createAudienceData(audience);
+        
+        // Progress of each upload, weighted by its share of the bytes
+        const imageBytes = imageFiles.reduce((sum, file) => sum + file.size, 0);
+        const videoBytes = videoFile ? videoFile.size : 0;
+        const progress = { images: 0, video: 0 };
+        const reportProgress = (part) => (percent) => {
+            progress[part] = percent;
+            if (onProgress) {
+                onProgress((progress.images * imageBytes + progress.video * videoBytes) / (imageBytes + videoBytes));
+            }
+        };
         
-        // Upload image if provided
-        if (imageFile) {
-            imageData = await uploadPostImage(imageFile);
+        // Upload images and video if provided
+        const [imagesResult, videoResult] = await Promise.allSettled([
+            imageFiles.length > 0 ? uploadPostImages(imageFiles, reportProgress('images')) : null,
+            videoFile ? uploadPostVideo(videoFile, reportProgress('video')) : null
+        ]);
+        
+        // Each upload cleans up after itself; if only one failed, the other's files go too
+        if (imagesResult.status === 'rejected' || videoResult.status === 'rejected') {
+            const uploadedPaths = [
+                ...(imagesResult.value || []).map(image => image.path),
+                ...(videoResult.value ? [videoResult.value.path, videoResult.value.poster.path] : [])
+            ];
+            await Promise.all(uploadedPaths.map(path => deleteImage(path).catch(() => {})));
+            throw imagesResult.reason || videoResult.reason;
         }
         
+        const imagesData = imagesResult.value;
+        const videoData = videoResult.value;
+        
         // Get user profile
         const userProfile = await getUserProfile(currentUserId);
         
@@ -50,7 +134,9 @@ export async function createPost(content, imageFile = null) {
             authorName: userProfile.displayName,
             authorPhoto: userProfile.photoURL,
             content: content.trim(),
-            image: imageData,
+            images: imagesData,
+            video: videoData,
+            audience: audienceData,
             timestamp: serverTimestamp(),
             likes: {},
             likesCount: 0,
@@ -68,6 +154,9 @@ export async function createPost(content, imageFile = null) {
         const userPostRef = ref(database, `userPosts/${currentUserId}/${newPostRef.key}`);
         await set(userPostRef, true);
         
+        // Add post to the author's feed and the feeds of friends in its audience
+        await fanOutPostToFeeds(newPostRef.key, postData);
+        
         console.log('Post created successfully');
         return newPostRef.key;
     } catch (error) {
@@ -84,34 +173,21 @@ export async function getFeedPosts(limit = 20) {
             return [];
         }
         
-        // Get user's friends
-        const friends = await getFriendsList();
-        const friendIds = friends.map(friend => friend.uid);
-        
-        // Include current user in the list
-        const userIds = [currentUserId, ...friendIds];
-        
-        // Get all posts
-        const postsRef = ref(database, 'posts');
-        const snapshot = await get(postsRef);
+        // Read the user's feed index instead of scanning every post
+        const feedQuery = query(
+            ref(database, `feeds/${currentUserId}`),
+            orderByChild('createdAt'),
+            limitToLast(limit)
+        );
+        const snapshot = await get(feedQuery);
         
         if (!snapshot.exists()) {
             return [];
         }
         
-        const allPosts = snapshot.val();
-        const feedPosts = [];
-        
-        // Filter posts from user and friends
-        Object.keys(allPosts).forEach(postId => {
-            const post = allPosts[postId];
-            if (userIds.includes(post.authorId)) {
-                feedPosts.push({
-                    id: postId,
-                    ...post
-                });
-            }
-        });
+        const postIds = Object.keys(snapshot.val());
+        const feedPosts = (await Promise.all(postIds.map(postId => getPostById(postId))))
+            .filter(post => post !== null);
         
         // Sort by timestamp (newest first)
         feedPosts.sort((a, b) => {
@@ -120,108 +196,222 @@ export async function getFeedPosts(limit = 20) {
             return timeB - timeA;
         });
         
-        // Limit results
-        return feedPosts.slice(0, limit);
+        return feedPosts;
     } catch (error) {
         console.error('Error getting feed posts:', error);
         return [];
     }
 }
 
-// Listen to feed posts
-export function listenToFeedPosts(callback, limit = 20) {
+// Get a page of feed posts older than the cursor (newest first)
+export async function getFeedPage(cursor = null, limit = 20) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            return { posts: [], nextCursor: null, hasMore: false };
+        }
+        
+        const constraints = [orderByChild('createdAt')];
+        if (cursor) {
+            constraints.push(endBefore(cursor.createdAt, cursor.key));
+        }
+        constraints.push(limitToLast(limit));
+        
+        const feedQuery = query(ref(database, `feeds/${currentUserId}`), ...constraints);
+        const snapshot = await get(feedQuery);
+        
+        if (!snapshot.exists()) {
+            return { posts: [], nextCursor: null, hasMore: false };
+        }
+        
+        // Feed entries in ascending createdAt order
+        const entries = [];
+        snapshot.forEach(childSnapshot => {
+            entries.push({
+                key: childSnapshot.key,
+                ...childSnapshot.val()
+            });
+        });
+        
+        const posts = (await Promise.all(entries.map(entry => getPostById(entry.key))))
+            .filter(post => post !== null);
+        
+        // Sort by timestamp (newest first)
+        posts.sort((a, b) => {
+            const timeA = a.createdAt || 0;
+            const timeB = b.createdAt || 0;
+            return timeB - timeA;
+        });
+        
+        // The oldest entry of this page is where the next page ends
+        const oldestEntry = entries[0];
+        
+        return {
+            posts,
+            nextCursor: { createdAt: oldestEntry.createdAt, key: oldestEntry.key },
+            hasMore: entries.length === limit
+        };
+    } catch (error) {
+        console.error('Error getting feed page:', error);
+        throw error;
+    }
+}
+
+// Listen to posts added to the feed after the cursor (newest post already shown)
+export function listenToNewFeedPosts(afterCursor, callback) {
     const currentUserId = getCurrentUserId();
     if (!currentUserId) {
         return () => {};
     }
     
-    const postsRef = ref(database, 'posts');
+    const constraints = [orderByChild('createdAt')];
+    if (afterCursor) {
+        constraints.push(startAfter(afterCursor.createdAt, afterCursor.key));
+    }
+    
+    const feedQuery = query(ref(database, `feeds/${currentUserId}`), ...constraints);
+    
+    const unsubscribe = onChildAdded(feedQuery, async (snapshot) => {
+        const post = await getPostById(snapshot.key);
+        if (post) {
+            callback(post);
+        }
+    });
+    
+    return unsubscribe;
+}
+
+// Listen to a single post (null once it is deleted)
+export function listenToPost(postId, callback) {
+    const postRef = ref(database, `posts/${postId}`);
     
-    const unsubscribe = onValue(postsRef, async (snapshot) => {
+    const unsubscribe = onValue(postRef, (snapshot) => {
         if (snapshot.exists()) {
-            // Get user's friends
-            const friends = await getFriendsList();
-            const friendIds = friends.map(friend => friend.uid);
-            const userIds = [currentUserId, ...friendIds];
-            
-            const allPosts = snapshot.val();
-            const feedPosts = [];
-            
-            // Filter posts from user and friends
-            Object.keys(allPosts).forEach(postId => {
-                const post = allPosts[postId];
-                if (userIds.includes(post.authorId)) {
-                    feedPosts.push({
-                        id: postId,
-                        ...post
-                    });
-                }
-            });
-            
-            // Sort by timestamp (newest first)
-            feedPosts.sort((a, b) => {
-                const timeA = a.createdAt || 0;
-                const timeB = b.createdAt || 0;
-                return timeB - timeA;
+            callback({
+                id: postId,
+                ...snapshot.val()
             });
-            
-            // Limit results
-            callback(feedPosts.slice(0, limit));
         } else {
-            callback([]);
+            callback(null);
         }
     });
     
     return unsubscribe;
 }
 
-// Like/unlike a post
-export async function togglePostLike(postId) {
+// Reactions people can leave on a post, stored as likes/$uid: type
+export const POST_REACTIONS = [
+    { type: 'like', emoji: '👍', label: 'Like' },
+    { type: 'love', emoji: '❤️', label: 'Love' },
+    { type: 'haha', emoji: '😂', label: 'Haha' },
+    { type: 'wow', emoji: '😮', label: 'Wow' },
+    { type: 'sad', emoji: '😢', label: 'Sad' },
+    { type: 'angry', emoji: '😠', label: 'Angry' }
+];
+
+// Reaction type of a stored like; likes from before reactions are stored as true
+function getReactionType(value) {
+    return value === true ? 'like' : value;
+}
+
+// Reactions on a post: the total, the current user's reaction type (or null) and the reaction
+// types used, most used first: [{ type, emoji, label, count, userIds }]
+export function getPostReactions(post) {
+    const likes = post.likes || {};
+    const byType = POST_REACTIONS.map(reaction => ({ ...reaction, count: 0, userIds: [] }));
+    
+    Object.keys(likes).forEach(userId => {
+        const entry = byType.find(reaction => reaction.type === getReactionType(likes[userId]));
+        if (entry) {
+            entry.count++;
+            entry.userIds.push(userId);
+        }
+    });
+    
+    const used = byType.filter(reaction => reaction.count > 0).sort((a, b) => b.count - a.count);
+    const mine = likes[getCurrentUserId()];
+    
+    return {
+        total: used.reduce((sum, reaction) => sum + reaction.count, 0),
+        mine: mine ? getReactionType(mine) : null,
+        byType: used
+    };
+}
+
+// Set the current user's reaction on a post to getNewReaction(current reaction); null removes it.
+// Returns the reaction now set.
+async function setPostReaction(postId, getNewReaction) {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId) {
+        throw new Error('User not authenticated');
+    }
+    
+    const postRef = ref(database, `posts/${postId}`);
+    const postSnapshot = await get(postRef);
+    
+    if (!postSnapshot.exists()) {
+        throw new Error('Post not found');
+    }
+    
+    const post = postSnapshot.val();
+    const currentValue = post.likes?.[currentUserId];
+    const currentReaction = currentValue ? getReactionType(currentValue) : null;
+    const newReaction = getNewReaction(currentReaction);
+    
+    if (newReaction === currentReaction) {
+        return currentReaction;
+    }
+    
+    // Changing the type of a reaction doesn't change the count
+    const countChange = (newReaction ? 1 : 0) - (currentReaction ? 1 : 0);
+    await update(postRef, {
+        [`likes/${currentUserId}`]: newReaction,
+        ...(countChange !== 0 ? { likesCount: Math.max((post.likesCount || 0) + countChange, 0) } : {})
+    });
+    
+    // Add notification for post author (if not self), only for a first reaction
+    if (!currentReaction && post.authorId !== currentUserId) {
+        const userProfile = await getUserProfile(currentUserId);
+        const reaction = POST_REACTIONS.find(item => item.type === newReaction);
+        
+        await addNotification(post.authorId, {
+            type: 'post_like',
+            from: currentUserId,
+            message: newReaction === 'like'
+                ? `${userProfile.displayName} liked your post`
+                : `${userProfile.displayName} reacted ${reaction.emoji} to your post`,
+            timestamp: Date.now(),
+            postId: postId
+        });
+    }
+    
+    return newReaction;
+}
+
+// React to a post; reacting again with the same type removes the reaction (one reaction per person)
+export async function togglePostReaction(postId, reactionType) {
     try {
-        const currentUserId = getCurrentUserId();
-        if (!currentUserId) {
-            throw new Error('User not authenticated');
+        if (!POST_REACTIONS.some(reaction => reaction.type === reactionType)) {
+            throw new Error('Invalid reaction');
         }
         
-        const postRef = ref(database, `posts/${postId}`);
-        const postSnapshot = await get(postRef);
-        
-        if (!postSnapshot.exists()) {
-            throw new Error('Post not found');
-        }
+        const reaction = await setPostReaction(postId, current => (current === reactionType ? null : reactionType));
         
-        const post = postSnapshot.val();
-        const likes = post.likes || {};
-        const isLiked = likes[currentUserId] === true;
-        
-        if (isLiked) {
-            // Unlike the post
-            await update(postRef, {
-                [`likes/${currentUserId}`]: null,
-                likesCount: (post.likesCount || 0) - 1
-            });
-        } else {
-            // Like the post
-            await update(postRef, {
-                [`likes/${currentUserId}`]: true,
-                likesCount: (post.likesCount || 0) + 1
-            });
-            
-            // Add notification for post author (if not self)
-            if (post.authorId !== currentUserId) {
-                const userProfile = await getUserProfile(currentUserId);
-                await addNotification(post.authorId, {
-                    type: 'post_like',
-                    from: currentUserId,
-                    message: `${userProfile.displayName} liked your post`,
-                    timestamp: Date.now(),
-                    postId: postId
-                });
-            }
-        }
+        console.log(reaction ? `Reacted ${reaction} to post` : 'Post reaction removed');
+        return reaction;
+    } catch (error) {
+        console.error('Error toggling post reaction:', error);
+        throw error;
+    }
+}
+
+// Like/unlike a post; any reaction counts as liked, so this removes it
+export async function togglePostLike(postId) {
+    try {
+        const reaction = await setPostReaction(postId, current => (current ? null : 'like'));
         
-        console.log(isLiked ? 'Post unliked' : 'Post liked');
-        return !isLiked;
+        console.log(reaction ? 'Post liked' : 'Post unliked');
+        return reaction !== null;
     } catch (error) {
         console.error('Error toggling post like:', error);
         throw error;
@@ -352,6 +542,102 @@ export function listenToPostComments(postId, callback) {
     return unsubscribe;
 }
 
+// Edit a post's text and images. images is the new set in order: the post's own image objects to keep
+// and Files to upload (null keeps the current set). The previous version is kept under the post's
+// versions, and images that are removed are deleted from storage (versions only keep their paths).
+export async function editPost(postId, newContent, { images = null, onProgress = null } = {}) {
+    try {
+        const currentUserId = getCurrentUserId();
+        if (!currentUserId) {
+            throw new Error('User not authenticated');
+        }
+        
+        const postRef = ref(database, `posts/${postId}`);
+        const postSnapshot = await get(postRef);
+        
+        if (!postSnapshot.exists()) {
+            throw new Error('Post not found');
+        }
+        
+        const post = postSnapshot.val();
+        if (post.authorId !== currentUserId) {
+            throw new Error('Can only edit your own posts');
+        }
+        
+        const content = newContent.trim();
+        const oldImages = getPostImages(post);
+        const oldPaths = oldImages.map(image => image.path);
+        
+        // Kept images must be the post's own, so a stale copy can't bring back a deleted file
+        const newImages = (images || oldImages)
+            .filter(image => image instanceof File || oldPaths.includes(image.path));
+        const newFiles = newImages.filter(image => image instanceof File);
+        
+        // The video isn't edited; it stays with the post
+        if (!content && newImages.length === 0 && !post.video) {
+            throw new Error('Post must have content, an image or a video');
+        }
+        
+        if (newImages.length > MAX_POST_IMAGES) {
+            throw new Error(`A post can have at most ${MAX_POST_IMAGES} images`);
+        }
+        
+        const imagesChanged = newFiles.length > 0 ||
+            newImages.map(image => image.path).join('\n') !== oldPaths.join('\n');
+        
+        if (content === post.content && !imagesChanged) {
+            return false;
+        }
+        
+        const uploadedImages = newFiles.length > 0 ? await uploadPostImages(newFiles, onProgress) : [];
+        const imagesData = newImages.map(image => (image instanceof File ? uploadedImages[newFiles.indexOf(image)] : image));
+        const keptPaths = imagesData.map(image => image.path);
+        
+        const versionKey = push(ref(database, `posts/${postId}/versions`)).key;
+        
+        await update(postRef, {
+            content,
+            images: imagesData.length > 0 ? imagesData : null,
+            image: null,
+            editedAt: serverTimestamp(),
+            [`versions/${versionKey}`]: {
+                content: post.content,
+                imagePaths: oldPaths,
+                createdAt: post.editedAt || post.createdAt
+            }
+        });
+        
+        // The post no longer points at removed images; failing to delete one only leaves an orphaned file
+        await Promise.all(oldPaths
+            .filter(path => !keptPaths.includes(path))
+            .map(path => deleteImage(path).catch(error => {
+                console.error('Error deleting removed post image:', error);
+            })));
+        
+        console.log('Post edited successfully');
+        return true;
+    } catch (error) {
+        console.error('Error editing post:', error);
+        throw error;
+    }
+}
+
+// Earlier versions of a post, newest first: [{ id, content, imagePaths, createdAt }]
+export function getPostVersions(post) {
+    return Object.keys(post.versions || {})
+        .map(versionId => {
+            const { imagePath, ...version } = post.versions[versionId];
+            
+            // Versions saved before galleries had a single imagePath
+            return {
+                id: versionId,
+                ...version,
+                imagePaths: version.imagePaths || (imagePath ? [imagePath] : [])
+            };
+        })
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
 // Delete post
 export async function deletePost(postId) {
     try {
@@ -380,6 +666,9 @@ export async function deletePost(postId) {
         const userPostRef = ref(database, `userPosts/${currentUserId}/${postId}`);
         await remove(userPostRef);
         
+        // Remove from feeds
+        await removePostFromFeeds(postId, currentUserId);
+        
         console.log('Post deleted successfully');
         return true;
     } catch (error) {
@@ -442,16 +731,12 @@ export async function getUserPosts(userId, limit = 20) {
         const userPostIds = Object.keys(snapshot.val());
         const posts = [];
         
-        // Get post details for each post ID
+        // Get post details for each post ID (posts outside the current user's audience are skipped)
         for (const postId of userPostIds) {
-            const postRef = ref(database, `posts/${postId}`);
-            const postSnapshot = await get(postRef);
+            const post = await getPostById(postId);
             
-            if (postSnapshot.exists()) {
-                posts.push({
-                    id: postId,
-                    ...postSnapshot.val()
-                });
+            if (post) {
+                posts.push(post);
             }
         }
         
@@ -513,7 +798,7 @@ export async function getPostById(postId) {
     }
 }
 
-// Check if user liked a post
+// Check if user reacted to a post (with any reaction)
 export async function hasUserLikedPost(postId, userId = null) {
     try {
         const targetUserId = userId || getCurrentUserId();
@@ -524,14 +809,14 @@ export async function hasUserLikedPost(postId, userId = null) {
         const likeRef = ref(database, `posts/${postId}/likes/${targetUserId}`);
         const snapshot = await get(likeRef);
         
-        return snapshot.exists() && snapshot.val() === true;
+        return snapshot.exists();
     } catch (error) {
         console.error('Error checking if user liked post:', error);
         return false;
     }
 }
 
-// Get post likes
+// Get the people who reacted to a post, each with their reaction type
 export async function getPostLikes(postId) {
     try {
         const likesRef = ref(database, `posts/${postId}/likes`);
@@ -545,11 +830,12 @@ export async function getPostLikes(postId) {
         const likesList = [];
         
         for (const userId in likes) {
-            if (likes[userId] === true) {
+            if (likes[userId]) {
                 const userProfile = await getUserProfile(userId);
                 if (userProfile) {
                     likesList.push({
                         uid: userId,
+                        reaction: getReactionType(likes[userId]),
                         ...userProfile
                     });
                 }
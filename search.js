@@ -0,0 +1,360 @@
+// Search across all of the user's chats. Messages are indexed in IndexedDB (one database per user,
+// in this browser only) and the index catches up whenever a chat's last message moves past what
+// was indexed, so searching never has to download whole histories. Edits and unsends don't move
+// the last message, so hits are checked against the database before they are shown.
+import { ref, onValue } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-database.js';
+
+import { database } from './firebase-config.js';
+import { getCurrentUserId } from './auth.js';
+import { getMessagesAfter, getChatMessage, MESSAGE_TYPES } from './chat.js';
+
+const SEARCH_DB_VERSION = 1;
+const MESSAGE_STORE = 'messages';
+const CHAT_STORE = 'chats';
+
+// Messages fetched per request while indexing a chat
+const INDEX_PAGE_SIZE = 500;
+
+// Most hits returned for one search
+const MAX_SEARCH_RESULTS = 100;
+
+// Characters of context kept before the first match in a snippet
+const SNIPPET_LEAD = 30;
+const SNIPPET_LENGTH = 120;
+
+// chatId -> key of the newest message indexed
+const indexedUpTo = new Map();
+
+// Chats are indexed one at a time, in the order they were found out of date
+let indexingQueue = Promise.resolve();
+const queuedChats = new Set();
+
+// Open (and on first use create) the current user's search database
+function openSearchDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(`wefriend-search-${getCurrentUserId()}`, SEARCH_DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            const messageStore = request.result.createObjectStore(MESSAGE_STORE, { keyPath: 'key' });
+            messageStore.createIndex('chatId', 'chatId');
+            messageStore.createIndex('tokens', 'tokens', { multiEntry: true });
+            request.result.createObjectStore(CHAT_STORE, { keyPath: 'chatId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run work(transaction) and resolve with what it returned (a request's result, or a value
+// filled in by its callbacks) once the transaction completes
+async function runSearchTransaction(storeNames, mode, work) {
+    const db = await openSearchDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const result = work(transaction);
+        
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(result instanceof IDBRequest ? result.result : result);
+        };
+        transaction.onerror = transaction.onabort = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+// Lowercase without accents, so "Café" is found by "cafe"
+function normalizeText(text) {
+    return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function tokenize(text) {
+    return [...new Set(normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+}
+
+// What of a message is searchable: its text (or caption) and an attachment's file name
+function getSearchableText(message) {
+    if (message.deleted || message.decryptionFailed || message.type === MESSAGE_TYPES.SYSTEM) {
+        return '';
+    }
+    
+    return [message.text, message.type === MESSAGE_TYPES.FILE ? message.attachment?.name : '']
+        .filter(Boolean)
+        .join(' ');
+}
+
+// Write (or drop, if nothing is searchable any more) messages of a chat, and move its indexed position
+function indexMessages(chatId, messages, newestKey = null) {
+    return runSearchTransaction([MESSAGE_STORE, CHAT_STORE], 'readwrite', transaction => {
+        const messageStore = transaction.objectStore(MESSAGE_STORE);
+        
+        messages.forEach(message => {
+            const key = `${chatId}/${message.id}`;
+            const text = getSearchableText(message);
+            
+            if (!text) {
+                messageStore.delete(key);
+                return;
+            }
+            
+            messageStore.put({
+                key,
+                chatId,
+                messageId: message.id,
+                senderId: message.senderId,
+                text,
+                timestamp: message.timestamp || Date.now(),
+                expiresAt: message.expiresAt || null,
+                tokens: tokenize(text)
+            });
+        });
+        
+        if (newestKey) {
+            transaction.objectStore(CHAT_STORE).put({ chatId, indexedUpTo: newestKey });
+        }
+    });
+}
+
+// Fetch and index every message of a chat newer than the indexed position
+async function catchUpChat(chatId) {
+    let hasMore = true;
+    
+    while (hasMore) {
+        const page = await getMessagesAfter(chatId, indexedUpTo.get(chatId) || null, INDEX_PAGE_SIZE);
+        
+        if (page.newestKey) {
+            await indexMessages(chatId, page.messages, page.newestKey);
+            indexedUpTo.set(chatId, page.newestKey);
+        }
+        hasMore = page.hasMore;
+    }
+}
+
+// Re-read hits from the database: deleted, unsent and expired messages are dropped from the index,
+// edited ones re-indexed, and only entries that still match the query are kept
+async function refreshSearchHits(entries, queryTokens) {
+    const current = await Promise.all(entries.map(async entry => {
+        try {
+            const message = await getChatMessage(entry.chatId, entry.messageId);
+            const text = message ? getSearchableText(message) : '';
+            
+            if (text !== entry.text) {
+                if (message) {
+                    await indexMessages(entry.chatId, [message]);
+                } else {
+                    await removeFromSearchIndex(entry.chatId, entry.messageId);
+                }
+            }
+            
+            const tokens = tokenize(text);
+            if (!text || !queryTokens.every(token => tokens.some(word => word.startsWith(token)))) {
+                return null;
+            }
+            
+            return { ...entry, text };
+        } catch (error) {
+            // Left the chat, or offline: nothing current to show
+            console.error('Error checking search hit:', error);
+            return null;
+        }
+    }));
+    
+    return current.filter(Boolean);
+}
+
+// Remove a chat the user is no longer in from the index
+function removeChatFromIndex(chatId) {
+    indexedUpTo.delete(chatId);
+    
+    return runSearchTransaction([MESSAGE_STORE, CHAT_STORE], 'readwrite', transaction => {
+        transaction.objectStore(CHAT_STORE).delete(chatId);
+        transaction.objectStore(MESSAGE_STORE).index('chatId').openCursor(IDBKeyRange.only(chatId)).onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            
+            cursor.delete();
+            cursor.continue();
+        };
+    });
+}
+
+function queueChatIndexing(chatId) {
+    if (queuedChats.has(chatId)) return;
+    
+    queuedChats.add(chatId);
+    indexingQueue = indexingQueue
+        .then(() => {
+            queuedChats.delete(chatId);
+            return catchUpChat(chatId);
+        })
+        .catch(error => {
+            console.error('Error indexing chat for search:', error);
+        });
+}
+
+// Check whether this browser supports the search index
+export function isSearchSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+// Keep the index in step with the user's chats. Returns an unsubscribe function.
+export function startSearchIndexing() {
+    const currentUserId = getCurrentUserId();
+    if (!currentUserId || !isSearchSupported()) {
+        return () => {};
+    }
+    
+    let unsubscribe = null;
+    let stopped = false;
+    
+    runSearchTransaction([CHAT_STORE], 'readonly', transaction => transaction.objectStore(CHAT_STORE).getAll())
+        .then(chatStates => {
+            if (stopped) return;
+            
+            chatStates.forEach(state => indexedUpTo.set(state.chatId, state.indexedUpTo));
+            
+            unsubscribe = onValue(ref(database, `userChats/${currentUserId}`), (snapshot) => {
+                const chats = snapshot.val() || {};
+                
+                Object.keys(chats).forEach(chatId => {
+                    const lastMessageKey = chats[chatId].lastMessageKey;
+                    if (lastMessageKey && lastMessageKey > (indexedUpTo.get(chatId) || '')) {
+                        queueChatIndexing(chatId);
+                    }
+                });
+                
+                [...indexedUpTo.keys()]
+                    .filter(chatId => !chats[chatId])
+                    .forEach(chatId => {
+                        removeChatFromIndex(chatId).catch(error => {
+                            console.error('Error removing chat from search index:', error);
+                        });
+                    });
+            });
+        })
+        .catch(error => {
+            console.error('Error starting search indexing:', error);
+        });
+    
+    return () => {
+        stopped = true;
+        unsubscribe?.();
+        indexedUpTo.clear();
+    };
+}
+
+// Re-index one message after it changed (edited, unsent) in an open chat
+export async function updateSearchIndex(chatId, message) {
+    try {
+        if (!isSearchSupported()) return;
+        
+        await indexMessages(chatId, [message]);
+    } catch (error) {
+        console.error('Error updating search index:', error);
+    }
+}
+
+// Drop a deleted or expired message from the index
+export async function removeFromSearchIndex(chatId, messageId) {
+    try {
+        if (!isSearchSupported()) return;
+        
+        await runSearchTransaction([MESSAGE_STORE], 'readwrite', transaction =>
+            transaction.objectStore(MESSAGE_STORE).delete(`${chatId}/${messageId}`));
+    } catch (error) {
+        console.error('Error updating search index:', error);
+    }
+}
+
+// Find messages containing every word of the query (words match by prefix). Results are grouped
+// by chat, newest hit first: [{ chatId, results: [{ messageId, senderId, text, timestamp }] }]
+export async function searchAllChats(searchText) {
+    try {
+        if (!isSearchSupported()) {
+            throw new Error('Search is not supported in this browser');
+        }
+        
+        const queryTokens = tokenize(searchText);
+        if (queryTokens.length === 0) {
+            return [];
+        }
+        
+        // Look up the longest word (usually the most selective) and check the others on its hits
+        const lookupToken = [...queryTokens].sort((a, b) => b.length - a.length)[0];
+        const candidates = await runSearchTransaction([MESSAGE_STORE], 'readonly', transaction =>
+            transaction.objectStore(MESSAGE_STORE).index('tokens').getAll(IDBKeyRange.bound(lookupToken, `${lookupToken}\uffff`)));
+        
+        const now = Date.now();
+        const matches = new Map();
+        candidates.forEach(entry => {
+            if (entry.expiresAt && entry.expiresAt <= now) return;
+            if (!queryTokens.every(token => entry.tokens.some(word => word.startsWith(token)))) return;
+            
+            // A message appears once per matching word
+            matches.set(entry.key, entry);
+        });
+        
+        const results = await refreshSearchHits([...matches.values()]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, MAX_SEARCH_RESULTS), queryTokens);
+        
+        const groups = new Map();
+        results.forEach(entry => {
+            if (!groups.has(entry.chatId)) {
+                groups.set(entry.chatId, { chatId: entry.chatId, results: [] });
+            }
+            groups.get(entry.chatId).results.push({
+                messageId: entry.messageId,
+                senderId: entry.senderId,
+                text: entry.text,
+                timestamp: entry.timestamp
+            });
+        });
+        
+        return [...groups.values()];
+    } catch (error) {
+        console.error('Error searching chats:', error);
+        throw error;
+    }
+}
+
+// Part of a message around the first match, split into [{ text, highlighted }] segments
+export function getSearchSnippet(text, searchText) {
+    const queryTokens = tokenize(searchText).map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (queryTokens.length === 0) {
+        return [{ text: text.slice(0, SNIPPET_LENGTH), highlighted: false }];
+    }
+    
+    // Matches start at the beginning of a word, as in the search itself
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${queryTokens.join('|')})`, 'giu');
+    const firstMatch = text.search(pattern);
+    
+    const start = firstMatch > SNIPPET_LEAD ? text.lastIndexOf(' ', firstMatch - SNIPPET_LEAD) + 1 : 0;
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const excerpt = text.slice(start, end);
+    
+    const segments = [];
+    if (start > 0) {
+        segments.push({ text: '…', highlighted: false });
+    }
+    
+    let position = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        if (match.index > position) {
+            segments.push({ text: excerpt.slice(position, match.index), highlighted: false });
+        }
+        segments.push({ text: match[0], highlighted: true });
+        position = match.index + match[0].length;
+    }
+    if (position < excerpt.length) {
+        segments.push({ text: excerpt.slice(position), highlighted: false });
+    }
+    
+    if (end < text.length) {
+        segments.push({ text: '…', highlighted: false });
+    }
+    
+    return segments;
+}
@@ -5,7 +5,8 @@ import {
     getDownloadURL, 
     deleteObject,
     uploadBytesResumable,
-    getMetadata
+    getMetadata,
+    updateMetadata
 } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-storage.js';
 
 import { storage } from './firebase-config.js';
@@ -61,7 +62,17 @@ export async function uploadImage(file, folder = 'images') {
 }
 
 // Upload image with progress tracking
-export function uploadImageWithProgress(file, folder = 'images', onProgress) {
+export function uploadImageWithProgress(file, folder = 'images', onProgress, customMetadata = null) {
+    return uploadFileWithProgress(file, folder, onProgress, {
+        allowedTypes: ['image/'],
+        maxSize: 5 * 1024 * 1024, // 5MB
+        typeError: 'File must be an image',
+        customMetadata
+    });
+}
+
+// Upload any file with progress tracking (type prefixes, size limit and custom metadata via options)
+export function uploadFileWithProgress(file, folder, onProgress, options = {}) {
     return new Promise((resolve, reject) => {
         try {
             const currentUserId = getCurrentUserId();
@@ -70,16 +81,22 @@ export function uploadImageWithProgress(file, folder = 'images', onProgress) {
                 return;
             }
             
+            const {
+                allowedTypes = null,
+                maxSize = 5 * 1024 * 1024,
+                typeError = 'File type is not supported',
+                customMetadata = null
+            } = options;
+            
             // Validate file type
-            if (!file.type.startsWith('image/')) {
-                reject(new Error('File must be an image'));
+            if (allowedTypes && !allowedTypes.some(type => file.type.startsWith(type))) {
+                reject(new Error(typeError));
                 return;
             }
             
-            // Validate file size (max 5MB)
-            const maxSize = 5 * 1024 * 1024; // 5MB
+            // Validate file size
             if (file.size > maxSize) {
-                reject(new Error('File size must be less than 5MB'));
+                reject(new Error(`File size must be less than ${formatFileSize(maxSize)}`));
                 return;
             }
             
@@ -90,10 +107,14 @@ export function uploadImageWithProgress(file, folder = 'images', onProgress) {
             const fileName = `${timestamp}_${randomString}.${fileExtension}`;
             
             // Create storage reference
-            const imageRef = storageRef(storage, `${folder}/${currentUserId}/${fileName}`);
+            const fileRef = storageRef(storage, `${folder}/${currentUserId}/${fileName}`);
             
             // Create upload task
-            const uploadTask = uploadBytesResumable(imageRef, file);
+            const metadata = { contentType: file.type };
+            if (customMetadata) {
+                metadata.customMetadata = customMetadata;
+            }
+            const uploadTask = uploadBytesResumable(fileRef, file, metadata);
             
             // Listen for state changes, errors, and completion
             uploadTask.on('state_changed',
@@ -132,6 +153,117 @@ export function uploadImageWithProgress(file, folder = 'images', onProgress) {
     });
 }
 
+// Document types that can be attached to chat messages
+export const CHAT_DOCUMENT_TYPES = [
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+// Audio types MediaRecorder produces for voice messages
+export const CHAT_AUDIO_TYPES = [
+    'audio/webm',
+    'audio/ogg',
+    'audio/mp4',
+    'audio/mpeg'
+];
+
+// Video types that can be posted, and their limits (checked again by the storage and database rules)
+export const POST_VIDEO_TYPES = [
+    'video/mp4',
+    'video/webm',
+    'video/quicktime'
+];
+export const MAX_POST_VIDEO_SIZE = 50 * 1024 * 1024; // 50MB
+export const MAX_POST_VIDEO_DURATION = 60; // seconds
+
+// Custom metadata listing who may read a chat upload: { uid: 'participant' }
+function getParticipantMetadata(participantIds) {
+    const customMetadata = {};
+    participantIds.forEach(uid => {
+        customMetadata[uid] = 'participant';
+    });
+    return customMetadata;
+}
+
+// Upload a chat attachment to chat-attachments/$chatId. Storage rules cannot read the
+// database, so the chat's participants are stamped into the object's custom metadata.
+export async function uploadChatAttachment(file, chatId, participantIds, onProgress) {
+    try {
+        const customMetadata = getParticipantMetadata(participantIds);
+        const folder = `chat-attachments/${chatId}`;
+        let result;
+        
+        if (file.type.startsWith('image/')) {
+            result = await uploadImageWithProgress(file, folder, onProgress, customMetadata);
+        } else {
+            result = await uploadFileWithProgress(file, folder, onProgress, {
+                allowedTypes: CHAT_DOCUMENT_TYPES,
+                maxSize: 10 * 1024 * 1024, // 10MB
+                typeError: 'Supported files: images, PDF, text, Office documents and ZIP',
+                customMetadata
+            });
+        }
+        
+        // Keep the original file name for display
+        result.originalName = file.name;
+        
+        console.log('Chat attachment uploaded successfully');
+        return result;
+    } catch (error) {
+        console.error('Error uploading chat attachment:', error);
+        throw error;
+    }
+}
+
+// Re-stamp the participant metadata of a chat's attachments after its members changed, so members
+// who joined later can read them and removedIds no longer can
+export async function updateChatAttachmentAccess(paths, participantIds, removedIds = []) {
+    const customMetadata = getParticipantMetadata(participantIds);
+    removedIds.forEach(uid => {
+        // null deletes the key
+        customMetadata[uid] = null;
+    });
+    
+    const results = await Promise.allSettled(
+        paths.map(path => updateMetadata(storageRef(storage, path), { customMetadata }))
+    );
+    
+    results.filter(result => result.status === 'rejected').forEach(result => {
+        console.error('Error updating attachment access:', result.reason);
+    });
+}
+
+// Upload a recorded voice message next to the chat's other attachments
+export async function uploadVoiceMessage(blob, chatId, participantIds, onProgress) {
+    try {
+        // "audio/webm;codecs=opus" -> voice-message.webm
+        const extension = blob.type.split(';')[0].split('/')[1] || 'webm';
+        const file = new File([blob], `voice-message.${extension}`, { type: blob.type });
+        
+        const result = await uploadFileWithProgress(file, `chat-attachments/${chatId}`, onProgress, {
+            allowedTypes: CHAT_AUDIO_TYPES,
+            maxSize: 10 * 1024 * 1024, // 10MB
+            typeError: 'This browser records audio in an unsupported format',
+            customMetadata: getParticipantMetadata(participantIds)
+        });
+        result.originalName = file.name;
+        
+        console.log('Voice message uploaded successfully');
+        return result;
+    } catch (error) {
+        console.error('Error uploading voice message:', error);
+        throw error;
+    }
+}
+
 // Delete image from Firebase Storage
 export async function deleteImage(imagePath) {
     try {
@@ -213,6 +345,23 @@ export async function uploadProfilePicture(file) {
     }
 }
 
+// Upload group chat avatar
+export async function uploadGroupAvatar(file) {
+    try {
+        // Resize image before upload
+        const resizedFile = await resizeImage(file, 400, 400, 0.9);
+        
+        // Upload to group-avatars folder
+        const result = await uploadImage(resizedFile, 'group-avatars');
+        
+        console.log('Group avatar uploaded successfully');
+        return result;
+    } catch (error) {
+        console.error('Error uploading group avatar:', error);
+        throw error;
+    }
+}
+
 // Upload post image
 export async function uploadPostImage(file) {
     try {
@@ -230,6 +379,153 @@ export async function uploadPostImage(file) {
     }
 }
 
+// Upload a post's images in parallel; onProgress gets the percentage of all their bytes uploaded.
+// If any upload fails the others are deleted again and the error is thrown.
+export async function uploadPostImages(files, onProgress = null) {
+    try {
+        // Resized images are blobs; they keep the original name so the upload can use its extension
+        const resizedFiles = await Promise.all(files.map(async file => {
+            const blob = await resizeImage(file, 1200, 1200, 0.8);
+            return blob ? new File([blob], file.name, { type: blob.type }) : file;
+        }));
+        
+        const totalBytes = resizedFiles.reduce((sum, file) => sum + file.size, 0);
+        const uploadedBytes = resizedFiles.map(() => 0);
+        
+        const results = await Promise.allSettled(resizedFiles.map((file, index) =>
+            uploadImageWithProgress(file, 'post-images', (progress) => {
+                uploadedBytes[index] = (file.size * progress) / 100;
+                if (onProgress) {
+                    onProgress((uploadedBytes.reduce((sum, bytes) => sum + bytes, 0) / totalBytes) * 100);
+                }
+            })
+        ));
+        
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            await Promise.all(results
+                .filter(result => result.status === 'fulfilled')
+                .map(result => deleteImage(result.value.path).catch(() => {})));
+            throw failure.reason;
+        }
+        
+        console.log('Post images uploaded successfully');
+        return results.map(result => result.value);
+    } catch (error) {
+        console.error('Error uploading post images:', error);
+        throw error;
+    }
+}
+
+// Read a video's duration and size and draw a poster frame (a JPEG blob) from about a second in
+export function getVideoDetails(file) {
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        const objectURL = URL.createObjectURL(file);
+        
+        const finish = (callback) => {
+            URL.revokeObjectURL(objectURL);
+            video.removeAttribute('src');
+            video.load();
+            callback();
+        };
+        
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        
+        video.onloadedmetadata = () => {
+            // Short clips take their poster from the middle
+            video.currentTime = Math.min(1, video.duration / 2);
+        };
+        
+        video.onseeked = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+            
+            canvas.toBlob((poster) => {
+                if (!poster) {
+                    finish(() => reject(new Error('This video cannot be played in this browser')));
+                    return;
+                }
+                
+                const details = {
+                    duration: video.duration,
+                    width: video.videoWidth,
+                    height: video.videoHeight,
+                    poster
+                };
+                finish(() => resolve(details));
+            }, 'image/jpeg', 0.8);
+        };
+        
+        video.onerror = () => {
+            finish(() => reject(new Error('This video cannot be played in this browser')));
+        };
+        
+        video.src = objectURL;
+    });
+}
+
+// Upload a post's video and its poster frame. onProgress gets the percentage of both uploaded.
+export async function uploadPostVideo(file, onProgress = null) {
+    try {
+        const validation = validateVideoFile(file);
+        if (!validation.isValid) {
+            throw new Error(validation.errors[0]);
+        }
+        
+        const details = await getVideoDetails(file);
+        if (details.duration > MAX_POST_VIDEO_DURATION) {
+            throw new Error(`Videos can be at most ${MAX_POST_VIDEO_DURATION} seconds long`);
+        }
+        
+        const posterFile = new File([details.poster], `${file.name}.jpg`, { type: 'image/jpeg' });
+        const totalBytes = file.size + posterFile.size;
+        const uploadedBytes = [0, 0];
+        const reportProgress = (index, size) => (progress) => {
+            uploadedBytes[index] = (size * progress) / 100;
+            if (onProgress) {
+                onProgress(((uploadedBytes[0] + uploadedBytes[1]) / totalBytes) * 100);
+            }
+        };
+        
+        // Resumable uploads, so a large video survives a flaky connection
+        const [videoResult, posterResult] = await Promise.allSettled([
+            uploadFileWithProgress(file, 'post-videos', reportProgress(0, file.size), {
+                allowedTypes: POST_VIDEO_TYPES,
+                maxSize: MAX_POST_VIDEO_SIZE,
+                typeError: 'Supported video formats: MP4, WebM, MOV'
+            }),
+            uploadImageWithProgress(posterFile, 'post-images', reportProgress(1, posterFile.size))
+        ]);
+        
+        if (videoResult.status === 'rejected' || posterResult.status === 'rejected') {
+            await Promise.all([videoResult, posterResult]
+                .filter(result => result.status === 'fulfilled')
+                .map(result => deleteImage(result.value.path).catch(() => {})));
+            throw videoResult.reason || posterResult.reason;
+        }
+        
+        console.log('Post video uploaded successfully');
+        return {
+            ...videoResult.value,
+            duration: details.duration,
+            width: details.width,
+            height: details.height,
+            poster: {
+                url: posterResult.value.url,
+                path: posterResult.value.path
+            }
+        };
+    } catch (error) {
+        console.error('Error uploading post video:', error);
+        throw error;
+    }
+}
+
 // Generate thumbnail
 export function generateThumbnail(file, width = 200, height = 200) {
     return new Promise((resolve) => {
@@ -293,6 +589,26 @@ export function validateImageFile(file) {
     };
 }
 
+// Validate video file
+export function validateVideoFile(file) {
+    const errors = [];
+    
+    // Check supported formats
+    if (!POST_VIDEO_TYPES.includes(file.type)) {
+        errors.push('Supported video formats: MP4, WebM, MOV');
+    }
+    
+    // Check file size
+    if (file.size > MAX_POST_VIDEO_SIZE) {
+        errors.push(`Video size must be less than ${formatFileSize(MAX_POST_VIDEO_SIZE)}`);
+    }
+    
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
 // Get file size in human readable format
 export function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
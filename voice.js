@@ -0,0 +1,107 @@
+// Voice message recording with MediaRecorder, plus the waveform shown on the message bubble
+
+// Shorter presses are treated as accidental taps and discarded
+export const MIN_VOICE_DURATION = 1000;
+
+// Longest voice message; recording stops on its own after this
+export const MAX_VOICE_DURATION = 5 * 60 * 1000;
+
+// Bars drawn in a voice message's waveform
+export const WAVEFORM_PEAK_COUNT = 48;
+
+// Recording formats in order of preference (Safari only records MP4)
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+// Check whether this browser can record audio
+export function isVoiceRecordingSupported() {
+    return !!navigator.mediaDevices?.getUserMedia && typeof MediaRecorder !== 'undefined';
+}
+
+// Start recording from the microphone. Resolves once recording has started with
+// { stop, cancel }: stop() resolves with { blob, duration, peaks }, cancel() discards the audio.
+export async function startVoiceRecording() {
+    if (!isVoiceRecordingSupported()) {
+        throw new Error('Voice messages are not supported in this browser');
+    }
+    
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) {
+            chunks.push(e.data);
+        }
+    };
+    const stopped = new Promise(resolve => {
+        recorder.onstop = resolve;
+    });
+    
+    recorder.start();
+    const startedAt = Date.now();
+    
+    const finish = async () => {
+        if (recorder.state !== 'inactive') {
+            recorder.stop();
+        }
+        await stopped;
+        stream.getTracks().forEach(track => track.stop());
+    };
+    
+    return {
+        startedAt,
+        async stop() {
+            const measuredDuration = (Date.now() - startedAt) / 1000;
+            await finish();
+            
+            const blob = new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' });
+            return { blob, ...(await analyzeRecording(blob, measuredDuration)) };
+        },
+        cancel() {
+            finish();
+        }
+    };
+}
+
+// Decode the recording for its exact duration and waveform. MediaRecorder files often
+// carry no duration header, so the value is stored with the message instead.
+async function analyzeRecording(blob, measuredDuration) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const audioContext = new AudioContextClass();
+    
+    try {
+        const buffer = await audioContext.decodeAudioData(await blob.arrayBuffer());
+        return {
+            duration: Math.round(buffer.duration * 10) / 10,
+            peaks: getWaveformPeaks(buffer.getChannelData(0))
+        };
+    } catch (error) {
+        console.error('Error analyzing voice recording:', error);
+        return {
+            duration: Math.round(measuredDuration * 10) / 10,
+            peaks: []
+        };
+    } finally {
+        audioContext.close();
+    }
+}
+
+// Loudest sample of each slice of the recording, scaled to 0-100 against the loudest slice
+function getWaveformPeaks(samples, count = WAVEFORM_PEAK_COUNT) {
+    const sliceSize = Math.max(1, Math.floor(samples.length / count));
+    const peaks = [];
+    
+    for (let i = 0; i < count; i++) {
+        const end = Math.min((i + 1) * sliceSize, samples.length);
+        let peak = 0;
+        
+        for (let j = i * sliceSize; j < end; j++) {
+            peak = Math.max(peak, Math.abs(samples[j]));
+        }
+        peaks.push(peak);
+    }
+    
+    const loudest = Math.max(...peaks) || 1;
+    return peaks.map(peak => Math.round((peak / loudest) * 100));
+}